@@ -0,0 +1,99 @@
+/**
+ * Assertions for Zypin MCP
+ * Retries a check until it passes or times out, like Playwright's web-first assertions,
+ * and keeps a per-session tally of verdicts for CI
+ *
+ * TODO:
+ * - Support negated assertions (not visible, text does not contain)
+ * - Export the tally as JUnit XML
+ */
+
+import { toToolError } from './tool-call.js';
+
+export const DEFAULT_EXPECT_TIMEOUT = 5000;
+
+// Playwright's messages for an element or frame that went away while it was being read
+const STALE_PATTERN = /Execution context was destroyed|not attached to the DOM|Frame was detached/i;
+
+// Back off between attempts so slow pages are not hammered
+const RETRY_INTERVALS = [100, 250, 500, 1000];
+
+/**
+ * Whether an error only means the element is not there (yet), as opposed to a bad argument,
+ * a broken selector or a closed browser, which retrying cannot fix.
+ */
+export function isMissingElement(error) {
+  return toToolError(error).code === 'ELEMENT_NOT_FOUND' || STALE_PATTERN.test(error?.message || '');
+}
+
+/**
+ * Call read() until matches(actual) is true or the timeout passes.
+ * A read that fails because the element is missing counts as a miss with actual null;
+ * any other error is thrown.
+ */
+export async function retryUntil(read, matches, timeout = DEFAULT_EXPECT_TIMEOUT) {
+  const startedAt = Date.now();
+  let actual = null;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      actual = await read();
+    } catch (error) {
+      if (!isMissingElement(error)) {
+        throw error;
+      }
+      actual = null;
+    }
+    if (matches(actual)) {
+      return { passed: true, actual, elapsed: Date.now() - startedAt };
+    }
+
+    const remaining = timeout - (Date.now() - startedAt);
+    if (remaining <= 0) {
+      return { passed: false, actual, elapsed: Date.now() - startedAt };
+    }
+    const interval = RETRY_INTERVALS[Math.min(attempt, RETRY_INTERVALS.length - 1)];
+    await new Promise(resolve => setTimeout(resolve, Math.min(interval, remaining)));
+  }
+}
+
+const normalize = (text) => String(text).replace(/\s+/g, ' ').trim();
+
+/**
+ * Compare text the way users read it: whitespace runs count as one space.
+ */
+export function matchText(actual, expected, { exact = false, ignoreCase = false } = {}) {
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+  let left = normalize(actual);
+  let right = normalize(expected);
+  if (ignoreCase) {
+    left = left.toLowerCase();
+    right = right.toLowerCase();
+  }
+  return exact ? left === right : left.includes(right);
+}
+
+export class AssertionTally {
+  constructor() {
+    this.results = [];
+  }
+
+  record(result) {
+    this.results.push({ ...result, timestamp: Date.now() });
+  }
+
+  summary() {
+    const passed = this.results.filter(result => result.passed).length;
+    return {
+      total: this.results.length,
+      passed,
+      failed: this.results.length - passed,
+      results: this.results
+    };
+  }
+
+  clear() {
+    this.results = [];
+  }
+}
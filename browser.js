@@ -5,13 +5,77 @@
  * TODO:
  * - Add support for browser extensions
  * - Implement browser profile management
- * - Add network request interception
  * - Support for multiple browser instances
  * - Add browser performance monitoring
- * - Implement browser crash recovery
  */
 
 import { chromium, firefox, webkit } from 'playwright-core';
+import fs from 'fs';
+import path from 'path';
+import { toHar } from './har.js';
+import { compareImages } from './screenshot-diff.js';
+import { REF_ATTRIBUTE, snapshotScript, stableSelectorScript, auditScript, candidatesScript } from './page-scripts.js';
+import { ActionRecorder } from './recorder.js';
+import { AssertionTally, DEFAULT_EXPECT_TIMEOUT, isMissingElement, retryUntil } from './assertions.js';
+import { ToolError } from './tool-call.js';
+import { describeLocator, toLocator } from './locators.js';
+import { CONTEXT_SETTINGS, getDevice, getPermissions, toContextOptions, toNetworkConditions } from './emulation.js';
+
+const ROUTE_ACTIONS = ['fulfill', 'abort', 'continue'];
+const DEFAULT_NETWORK_LOG_LIMIT = 500;
+const CONSOLE_BUFFER_LIMIT = 200;
+const CONSOLE_LEVELS = ['debug', 'info', 'warning', 'error'];
+const DEFAULT_DOWNLOADS_DIR = 'downloads';
+const DEFAULT_BASELINES_DIR = 'baselines';
+const DEFAULT_TRACES_DIR = 'traces';
+const DEFAULT_VIDEOS_DIR = 'videos';
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+const DEFAULT_FAILURES_DIR = 'failures';
+const MAX_CANDIDATES = 5;
+// Elements worth suggesting when a selector matches nothing
+const CANDIDATE_POOL = 'a, button, input, select, textarea, label, summary, h1, h2, h3, h4, h5, h6, ' +
+  '[role], [id], [name], [aria-label], [placeholder], [onclick], [tabindex], [data-testid], [data-test], [data-qa]';
+// Selector syntax that says nothing about the element that was meant
+const SELECTOR_NOISE = new Set([
+  'nth', 'of', 'type', 'child', 'first', 'last', 'not', 'has', 'is', 'where', 'text', 'visible', 'css', 'xpath',
+  'internal', 'control', 'enter', 'frame', 'role', 'name', 'id', 'class', 'data', 'testid', 'div', 'span', 'true', 'false'
+]);
+
+/**
+ * Whether an element target names an element, rather than meaning the page or the focused element.
+ */
+function hasTarget(target) {
+  return Boolean(target && (target.selector || target.ref || target.locator));
+}
+
+/**
+ * The first element a locator matches right now, or null. Unlike locator.elementHandle() it does not wait.
+ */
+async function firstElement(locator) {
+  const [first = null, ...rest] = await locator.elementHandles();
+  await Promise.all(rest.map(element => element.dispose()));
+  return first;
+}
+
+/**
+ * Split a CSS or Playwright selector into words and quoted phrases to look for on the page,
+ * e.g. `button#submitOrder:has-text("Place order")` gives
+ * { terms: ['button', 'submit', 'order', 'place'], phrases: ['Place order'] }.
+ */
+function selectorTerms(selector) {
+  const phrases = Array.from(selector.matchAll(/(["'])(.*?)\1/g), match => match[2]);
+  // Playwright text selectors without quotes, e.g. text=Sign in
+  const textMatch = selector.match(/^text=([^"'].*)$/);
+  if (textMatch) {
+    phrases.push(textMatch[1].trim());
+  }
+  const terms = selector
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !/^\d+$/.test(term) && !SELECTOR_NOISE.has(term));
+  return { terms: Array.from(new Set(terms)), phrases };
+}
 
 export class SimpleBrowser {
   constructor(config = {}) {
@@ -19,31 +83,143 @@ export class SimpleBrowser {
     this.browser = null;
     this.context = null;
     this.page = null;
+    this.pages = [];
+    // Route handlers outlive the context so they are re-applied after a relaunch
+    this.routes = [];
+    this.nextRouteId = 1;
+    // Rolling log of requests made by any tab in the session
+    this.networkLog = [];
+    this.networkEntries = new WeakMap();
+    this.nextRequestId = 1;
+    this.networkCursor = 0;
+    // Console messages and page errors, buffered per page
+    this.consoleMessages = new Map();
+    this.nextConsoleId = 1;
+    this.consoleCursor = 0;
+    this.errorCursor = 0;
+    this.recorder = new ActionRecorder();
+    this.assertions = new AssertionTally();
+    // Ids for child frames, used to prefix the refs of their elements
+    this.frameIds = new WeakMap();
+    this.nextFrameId = 1;
+    // Downloads saved from any tab, and the saves still in progress
+    this.downloads = [];
+    this.pendingDownloads = new Set();
+    // Options of the running trace, and the trace and video files written so far
+    this.tracing = null;
+    this.traces = [];
+    this.videos = [];
+    // Current emulation settings, and the DevTools sessions (as promises) used to throttle each tab
+    this.emulation = { ...config.emulation };
+    this.cdpSessions = new WeakMap();
+    // Why the browser needs a relaunch (null while healthy), and what to restore afterwards
+    this.unhealthy = null;
+    this.recovering = null;
+    this.recovery = null;
+    this.lastUrl = null;
+    this.lastStorageState = null;
   }
 
-  async launch() {
+  /**
+   * Launch the browser. contextOptions are passed to createContext.
+   */
+  async launch(contextOptions = {}) {
     try {
       // Get the appropriate browser type (chromium, firefox, webkit)
       const browserType = this.getBrowserType();
-      this.browser = await browserType.launch({
-        headless: this.config.headless
+      const browser = await browserType.launch({
+        headless: this.config.headless,
+        args: this.config.launchArgs
       });
-      
-      // Create a new browser context with configured viewport
-      this.context = await this.browser.newContext({
-        viewport: this.config.viewport
+      this.browser = browser;
+      browser.on('disconnected', () => {
+        // close() clears this.browser first, so only unexpected disconnects count
+        if (this.browser === browser) {
+          this.markUnhealthy('Browser disconnected');
+        }
       });
-      
-      // Create a new page and set default timeout
-      this.page = await this.context.newPage();
-      this.page.setDefaultTimeout(this.config.timeout);
+
+      await this.createContext(contextOptions);
+      this.unhealthy = null;
+      if (this.config.trace) {
+        await this.startTrace();
+      }
       
       return true;
     } catch (error) {
+      // Leave nothing half launched, so the next call starts over instead of using a missing page
+      await this.close().catch(() => {});
+      if (error instanceof ToolError) {
+        throw error;
+      }
       throw new Error(`Failed to launch browser: ${error.message}`);
     }
   }
 
+  /**
+   * Create the browser context and its first tab.
+   * options are extra Playwright context options, e.g. storageState.
+   */
+  async createContext(options = {}) {
+    this.checkEmulation(this.emulation);
+    // Create a new browser context with configured viewport and context options;
+    // an emulated device brings its own viewport
+    const contextOptions = {
+      ...this.config.contextOptions,
+      viewport: this.config.viewport,
+      ...toContextOptions(this.emulation, { browserName: this.config.browser })
+    };
+    const video = this.config.recordVideo
+      ? { recordVideo: { dir: path.resolve(this.config.videosDir || DEFAULT_VIDEOS_DIR), size: contextOptions.viewport } }
+      : {};
+    const context = await this.browser.newContext({
+      ...contextOptions,
+      ...video,
+      ...options
+    });
+    this.context = context;
+    context.on('close', () => {
+      // Contexts we close ourselves are detached first, see closeContext()
+      if (this.context === context) {
+        this.markUnhealthy('Browser context closed');
+      }
+    });
+
+    // Track every page opened in the context, including popups
+    this.context.on('page', page => this.attachPage(page));
+
+    this.context.on('request', request => this.onRequest(request));
+    this.context.on('response', response => this.onResponse(response));
+    this.context.on('requestfinished', request => this.onRequestFinished(request));
+    this.context.on('requestfailed', request => this.onRequestFailed(request));
+
+    for (const route of this.routes) {
+      await this.context.route(route.matcher, route.handler);
+    }
+    
+    // Create the first tab; attachPage sets the default timeout
+    const page = await this.context.newPage();
+    this.attachPage(page);
+    await this.throttle(page);
+  }
+
+  /**
+   * Replace the browser context with a fresh one, closing all tabs.
+   */
+  async recreateContext(options = {}) {
+    await this.ensureLaunched();
+    // A trace belongs to one context: save what we have and continue in the new one
+    const tracing = this.tracing;
+    if (tracing) {
+      await this.stopTrace();
+    }
+    await this.closeContext();
+    await this.createContext(options);
+    if (tracing) {
+      await this.startTrace({ ...tracing, name: `${tracing.name}-${Date.now()}` });
+    }
+  }
+
   getBrowserType() {
     switch (this.config.browser) {
       case 'firefox':
@@ -55,15 +231,475 @@ export class SimpleBrowser {
     }
   }
 
+  /**
+   * Start tracking a page and make it the current tab.
+   * Called for pages we open ourselves and for popups opened by the site.
+   */
+  attachPage(page) {
+    if (this.pages.includes(page)) {
+      return;
+    }
+
+    page.setDefaultTimeout(this.config.timeout);
+    page.on('close', () => this.detachPage(page));
+    page.on('crash', () => this.markUnhealthy('Page crashed'));
+    // Keep a recent copy of cookies and storage, since a dead browser cannot be asked for them
+    page.on('load', () => this.checkpointStorageState());
+
+    // The video file is written to this path and finished when the page closes
+    const video = page.video();
+    if (video) {
+      video.path().then(file => this.videos.push(file), () => {});
+    }
+
+    // Popups get the context's settings, not what emulate() changed on the open tabs
+    if (this.emulation.colorScheme || this.emulation.reducedMotion) {
+      page.emulateMedia(this.getMediaEmulation()).catch(() => {});
+    }
+    if (this.emulation.throttling) {
+      this.throttle(page).catch(error => console.error(`Failed to throttle tab: ${error.message}`));
+    }
+
+    this.consoleMessages.set(page, []);
+    page.on('console', message => this.recordConsole(page, {
+      level: this.getConsoleLevel(message.type()),
+      source: 'console',
+      text: message.text(),
+      location: message.location()
+    }));
+    page.on('pageerror', error => this.recordConsole(page, {
+      level: 'error',
+      source: 'pageerror',
+      text: error.message,
+      stack: error.stack
+    }));
+    page.on('download', download => this.saveDownload(download));
+    page.on('requestfailed', request => this.recordConsole(page, {
+      level: 'error',
+      source: 'network',
+      text: `${request.method()} ${request.url()} failed: ${request.failure()?.errorText || 'unknown error'}`
+    }));
+
+    this.pages.push(page);
+    this.page = page;
+  }
+
+  detachPage(page) {
+    if (this.page === page) {
+      this.lastUrl = page.url();
+    }
+    this.pages = this.pages.filter(p => p !== page);
+    this.consoleMessages.delete(page);
+    if (this.page === page) {
+      // Fall back to the most recently opened tab that is still alive
+      this.page = this.pages[this.pages.length - 1] || null;
+    }
+    // The site closed the last tab (closeTab opens a replacement first)
+    if (this.pages.length === 0 && this.context && page.context() === this.context) {
+      this.markUnhealthy('Last tab closed');
+    }
+  }
+
+  getConsoleLevel(type) {
+    switch (type) {
+      case 'error':
+      case 'assert':
+        return 'error';
+      case 'warning':
+        return 'warning';
+      case 'debug':
+        return 'debug';
+      default:
+        return 'info';
+    }
+  }
+
+  recordConsole(page, message) {
+    const buffer = this.consoleMessages.get(page);
+    if (!buffer) {
+      return;
+    }
+    buffer.push({ id: this.nextConsoleId++, timestamp: Date.now(), ...message });
+    if (buffer.length > CONSOLE_BUFFER_LIMIT) {
+      buffer.shift();
+    }
+  }
+
+  /**
+   * Get buffered console messages for the current tab (or all tabs).
+   * level is a minimum severity; with sinceLastCall, only messages recorded
+   * after the previous sinceLastCall query are returned.
+   */
+  getConsoleMessages({ level = 'debug', allTabs = false, sinceLastCall = false } = {}) {
+    if (!CONSOLE_LEVELS.includes(level)) {
+      throw new Error(`Unknown console level "${level}" (expected one of: ${CONSOLE_LEVELS.join(', ')})`);
+    }
+
+    const pages = allTabs ? this.pages : [this.page].filter(Boolean);
+    let messages = pages
+      .flatMap(page => this.consoleMessages.get(page) || [])
+      .sort((a, b) => a.id - b.id);
+
+    if (sinceLastCall) {
+      messages = messages.filter(message => message.id > this.consoleCursor);
+      this.consoleCursor = this.nextConsoleId - 1;
+    }
+
+    const minimum = CONSOLE_LEVELS.indexOf(level);
+    return messages.filter(message => CONSOLE_LEVELS.indexOf(message.level) >= minimum);
+  }
+
+  /**
+   * Return errors from any tab that have not been reported yet.
+   * Used to append a summary of new page errors to tool results.
+   */
+  takeNewErrors() {
+    const errors = this.pages
+      .flatMap(page => this.consoleMessages.get(page) || [])
+      .filter(message => message.level === 'error' && message.id > this.errorCursor)
+      .sort((a, b) => a.id - b.id);
+    this.errorCursor = this.nextConsoleId - 1;
+    return errors;
+  }
+
   async ensureLaunched() {
     if (!this.browser) {
       await this.launch();
+    } else if (this.unhealthy) {
+      // Concurrent calls wait for the same recovery
+      this.recovering = this.recovering || this.recover().finally(() => {
+        this.recovering = null;
+      });
+      await this.recovering;
     }
   }
 
+  /**
+   * Record that the browser, context or page died; the next call relaunches it.
+   */
+  markUnhealthy(reason) {
+    if (!this.unhealthy) {
+      this.unhealthy = { reason, at: Date.now() };
+      console.error(`Browser unhealthy: ${reason}. It will be relaunched on the next call`);
+    }
+  }
+
+  checkpointStorageState() {
+    const context = this.context;
+    if (!context) {
+      return;
+    }
+    context.storageState()
+      .then(state => {
+        if (this.context === context) {
+          this.lastStorageState = state;
+        }
+      })
+      .catch(() => {});
+  }
+
+  /**
+   * Replace a dead page, context or browser and restore the last URL and storage state.
+   * Relaunches the browser only if it disconnected; otherwise a new context is enough.
+   */
+  async recover() {
+    const url = (this.page && this.page.url()) || this.lastUrl;
+    const relaunch = !this.browser.isConnected();
+    // A disconnect also closes the context, which may have been noticed first
+    const reason = relaunch ? 'Browser disconnected' : this.unhealthy.reason;
+
+    // A live context has fresher state than the last checkpoint
+    let storageState = this.lastStorageState;
+    if (!relaunch && this.context) {
+      storageState = await this.context.storageState().catch(() => storageState);
+    }
+
+    // The running trace died with the context; continue it in a new file
+    const tracing = this.tracing;
+    this.tracing = null;
+    await this.closeContext();
+    this.pages = [];
+    this.page = null;
+
+    const options = storageState ? { storageState } : {};
+    if (relaunch) {
+      this.browser = null;
+      await this.launch(options);
+    } else {
+      await this.createContext(options);
+    }
+    if (tracing && !this.tracing) {
+      await this.startTrace({ ...tracing, name: `${tracing.name}-${Date.now()}` });
+    }
+    this.unhealthy = null;
+
+    let restoredUrl = null;
+    if (url && url !== 'about:blank') {
+      try {
+        await this.page.goto(url);
+        restoredUrl = url;
+      } catch (error) {
+        console.error(`Failed to restore ${url} after recovery: ${error.message}`);
+      }
+    }
+
+    this.recovery = {
+      reason,
+      relaunchedBrowser: relaunch,
+      restoredUrl,
+      restoredStorageState: Boolean(storageState)
+    };
+    return this.recovery;
+  }
+
+  /**
+   * Get the recovery since the last call, if any, and forget it.
+   */
+  takeRecovery() {
+    const recovery = this.recovery;
+    this.recovery = null;
+    return recovery;
+  }
+
+  /**
+   * Close the current context without it counting as a crash.
+   */
+  async closeContext() {
+    const context = this.context;
+    this.context = null;
+    if (context) {
+      await context.close().catch(() => {});
+    }
+  }
+
+  getTabIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.pages.length) {
+      throw new ToolError('INVALID_ARGUMENT', `Tab ${index} does not exist (open tabs: ${this.pages.length})`, { argument: 'index' });
+    }
+    return index;
+  }
+
+  async listTabs() {
+    await this.ensureLaunched();
+    return Promise.all(this.pages.map(async (page, index) => ({
+      index,
+      url: page.url(),
+      title: await page.title(),
+      active: page === this.page
+    })));
+  }
+
+  async newTab(url) {
+    await this.ensureLaunched();
+    const page = await this.context.newPage();
+    this.attachPage(page);
+    this.page = page;
+    if (url) {
+      await this.goto(page, url);
+    }
+    return this.pages.indexOf(page);
+  }
+
+  async selectTab(index) {
+    await this.ensureLaunched();
+    this.page = this.pages[this.getTabIndex(index)];
+    await this.page.bringToFront();
+  }
+
+  async closeTab(index) {
+    await this.ensureLaunched();
+    const page = index === undefined ? this.page : this.pages[this.getTabIndex(index)];
+    // Keep at least one tab open so the other tools have a page to act on
+    if (this.pages.length === 1) {
+      this.attachPage(await this.context.newPage());
+    }
+    await page.close();
+  }
+
+  /**
+   * Register a route handler for requests matching a URL glob or regex.
+   * Matching requests are fulfilled with a mocked response, aborted, or
+   * passed through, optionally after a delay.
+   */
+  async addRoute({ url, regex = false, action = 'fulfill', status = 200, headers, contentType, body, json, fixture, errorCode = 'failed', delay = 0 }) {
+    await this.ensureLaunched();
+
+    if (!ROUTE_ACTIONS.includes(action)) {
+      throw new Error(`Unknown route action "${action}" (expected one of: ${ROUTE_ACTIONS.join(', ')})`);
+    }
+    if (fixture && !fs.existsSync(fixture)) {
+      throw new ToolError('INVALID_ARGUMENT', `Fixture file not found: ${fixture}`, { argument: 'fixture' });
+    }
+
+    const route = {
+      id: this.nextRouteId++,
+      url,
+      regex,
+      action,
+      delay,
+      hits: 0,
+      matcher: regex ? new RegExp(url) : url
+    };
+
+    route.handler = async (playwrightRoute) => {
+      route.hits++;
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      switch (action) {
+        case 'abort':
+          return playwrightRoute.abort(errorCode);
+        case 'continue':
+          return playwrightRoute.continue();
+        default:
+          return playwrightRoute.fulfill({ status, headers, contentType, body, json, path: fixture });
+      }
+    };
+
+    await this.context.route(route.matcher, route.handler);
+    this.routes.push(route);
+    return route.id;
+  }
+
+  listRoutes() {
+    return this.routes.map(({ id, url, regex, action, delay, hits }) => ({ id, url, regex, action, delay, hits }));
+  }
+
+  /**
+   * Remove a route handler by id, or every route when no id is given.
+   */
+  async removeRoute(id) {
+    const removed = id === undefined ? this.routes : this.routes.filter(route => route.id === id);
+    if (id !== undefined && removed.length === 0) {
+      throw new ToolError('INVALID_ARGUMENT', `Route ${id} does not exist`, { argument: 'id' });
+    }
+
+    for (const route of removed) {
+      if (this.context) {
+        await this.context.unroute(route.matcher, route.handler);
+      }
+    }
+    this.routes = this.routes.filter(route => !removed.includes(route));
+    return removed.length;
+  }
+
+  onRequest(request) {
+    const entry = {
+      id: this.nextRequestId++,
+      method: request.method(),
+      url: request.url(),
+      resourceType: request.resourceType(),
+      status: null,
+      statusText: '',
+      startedAt: Date.now(),
+      duration: null,
+      size: null,
+      failure: null,
+      mimeType: '',
+      requestHeaders: request.headers(),
+      responseHeaders: {},
+      postData: request.postData()
+    };
+    this.networkEntries.set(request, entry);
+    this.networkLog.push(entry);
+
+    const limit = this.config.networkLogLimit || DEFAULT_NETWORK_LOG_LIMIT;
+    if (this.networkLog.length > limit) {
+      this.networkLog.splice(0, this.networkLog.length - limit);
+    }
+  }
+
+  onResponse(response) {
+    const entry = this.networkEntries.get(response.request());
+    if (!entry) {
+      return;
+    }
+    entry.status = response.status();
+    entry.statusText = response.statusText();
+    entry.responseHeaders = response.headers();
+    entry.mimeType = entry.responseHeaders['content-type'] || '';
+  }
+
+  async onRequestFinished(request) {
+    const entry = this.networkEntries.get(request);
+    if (!entry) {
+      return;
+    }
+    entry.duration = Date.now() - entry.startedAt;
+    // Sizes are not available once the context has gone away
+    const sizes = await request.sizes().catch(() => null);
+    if (sizes) {
+      entry.size = sizes.responseBodySize;
+      entry.requestBodySize = sizes.requestBodySize;
+    }
+  }
+
+  onRequestFailed(request) {
+    const entry = this.networkEntries.get(request);
+    if (!entry) {
+      return;
+    }
+    entry.duration = Date.now() - entry.startedAt;
+    entry.failure = request.failure()?.errorText || 'unknown error';
+  }
+
+  /**
+   * Query the network log.
+   * With sinceLastCall, only requests made after the previous sinceLastCall query are returned.
+   */
+  getNetworkRequests({ url, method, status, resourceType, failedOnly = false, sinceLastCall = false, limit = 50 } = {}) {
+    let entries = this.networkLog;
+    if (sinceLastCall) {
+      entries = entries.filter(entry => entry.id > this.networkCursor);
+      this.networkCursor = this.nextRequestId - 1;
+    }
+
+    entries = entries.filter(entry =>
+      (!url || entry.url.includes(url)) &&
+      (!method || entry.method === method.toUpperCase()) &&
+      (status === undefined || entry.status === status) &&
+      (!resourceType || entry.resourceType === resourceType) &&
+      (!failedOnly || entry.failure !== null || entry.status >= 400)
+    );
+
+    return entries.slice(-limit).map(({ id, method, url, resourceType, status, statusText, startedAt, duration, size, failure }) => ({
+      id, method, url, resourceType, status, statusText, startedAt, duration, size, failure
+    }));
+  }
+
+  clearNetworkLog() {
+    this.networkLog = [];
+  }
+
+  exportHar(filename) {
+    const path = filename || `network-${Date.now()}.har`;
+    const har = toHar(this.networkLog, {
+      name: this.config.browser,
+      version: this.browser ? this.browser.version() : ''
+    });
+    fs.writeFileSync(path, JSON.stringify(har, null, 2));
+    return { path, entries: this.networkLog.length };
+  }
+
   async navigate(url) {
     await this.ensureLaunched();
-    await this.page.goto(url);
+    await this.goto(this.page, url);
+  }
+
+  /**
+   * Load a URL, reporting unreachable or invalid URLs as NAVIGATION_FAILED.
+   */
+  async goto(page, url) {
+    try {
+      await page.goto(url);
+    } catch (error) {
+      // Timeouts and closed browsers are reported as such
+      if (error.name === 'TimeoutError' || !page.context().browser()?.isConnected()) {
+        throw error;
+      }
+      throw new ToolError('NAVIGATION_FAILED', `Failed to navigate to ${url}: ${error.message}`, { argument: 'url', cause: error });
+    }
   }
 
   async goBack() {
@@ -81,95 +717,896 @@ export class SimpleBrowser {
     await this.page.reload();
   }
 
-  async click(selector) {
+  /**
+   * Get the id used to prefix refs of elements in a child frame, e.g. "f2".
+   * The main frame has no id, so its refs stay plain ("e12").
+   */
+  getFrameId(frame) {
+    if (frame === this.page.mainFrame()) {
+      return null;
+    }
+    if (!this.frameIds.has(frame)) {
+      this.frameIds.set(frame, `f${this.nextFrameId++}`);
+    }
+    return this.frameIds.get(frame);
+  }
+
+  /**
+   * Find a frame of the current tab.
+   * frame is an array of iframe selectors walked from the main frame, a frame id
+   * from snapshot, a frame name, or a URL fragment. A string that matches no frame fails
+   * at once rather than waiting for an iframe that may never come.
+   */
+  async resolveFrame(frame) {
+    if (frame === undefined || frame === null || frame === '') {
+      return this.page.mainFrame();
+    }
+    if (typeof frame === 'object' && !Array.isArray(frame)) {
+      // Already a Playwright frame
+      return frame;
+    }
+
+    if (typeof frame === 'string') {
+      const frames = this.page.frames();
+      const match = frames.find(f => this.frameIds.get(f) === frame) ||
+        frames.find(f => f.name() === frame) ||
+        frames.find(f => f !== this.page.mainFrame() && f.url().includes(frame));
+      if (match) {
+        return match;
+      }
+      const known = frames.filter(f => f !== this.page.mainFrame()).map(f => this.getFrameId(f));
+      throw new ToolError('INVALID_ARGUMENT',
+        `No frame has the id, name or URL "${frame}"${known.length > 0 ? ` (frames: ${known.join(', ')})` : ''}; pass iframe selectors as an array`,
+        { argument: 'frame' });
+    }
+
+    let current = this.page.mainFrame();
+    for (const selector of frame) {
+      const element = await current.waitForSelector(selector, { state: 'attached' });
+      const child = await element.contentFrame();
+      if (!child) {
+        throw new ToolError('ELEMENT_NOT_FOUND', `Frame selector "${selector}" does not match an iframe`, { argument: 'frame' });
+      }
+      current = child;
+    }
+    return current;
+  }
+
+  /**
+   * Turn an element target into the frame to act in and a Playwright locator within it.
+   * Targets are a CSS selector string or { selector, ref, locator, frame } where ref comes
+   * from snapshot() and already identifies its frame, and locator is a semantic locator
+   * (see locators.js).
+   */
+  async resolveTarget(target) {
+    const { selector, ref, locator, frame } = typeof target === 'string' ? { selector: target } : target;
+    if (selector) {
+      const selectorFrame = await this.resolveFrame(frame);
+      return { frame: selectorFrame, locator: selectorFrame.locator(selector) };
+    }
+    if (locator) {
+      const locatorFrame = await this.resolveFrame(frame);
+      return { frame: locatorFrame, locator: this.toLocator(locatorFrame, locator) };
+    }
+    if (!ref) {
+      throw new ToolError('INVALID_ARGUMENT', 'One of selector, ref or locator is required', { argument: 'selector' });
+    }
+
+    const refFrame = this.getRefFrame(ref);
+    const refSelector = `[${REF_ATTRIBUTE}="${ref}"]`;
+    if (!refFrame || !(await refFrame.$(refSelector))) {
+      throw new ToolError('ELEMENT_NOT_FOUND', `Element ref "${ref}" not found on the page. Take a new snapshot to get current refs`, { argument: 'ref' });
+    }
+    return { frame: refFrame, locator: refFrame.locator(refSelector) };
+  }
+
+  /**
+   * The frame a snapshot ref belongs to, from its frame id prefix (f2e5 is in frame f2).
+   * Undefined when that frame is gone.
+   */
+  getRefFrame(ref) {
+    const frameId = ref.match(/^(f\d+)e\d+$/)?.[1];
+    return frameId
+      ? this.page.frames().find(f => this.frameIds.get(f) === frameId)
+      : this.page.mainFrame();
+  }
+
+  /**
+   * Build a semantic locator inside a frame, using the configured test id attribute.
+   */
+  toLocator(frame, locator) {
+    return toLocator(frame, locator, { testIdAttribute: this.config.testIdAttribute });
+  }
+
+  /**
+   * Describe a frame as the chain of iframe selectors leading to it from the main frame,
+   * for recording. The main frame is an empty chain.
+   */
+  async stableFrame(frame) {
+    await this.ensureLaunched();
+    const chain = [];
+    for (let current = await this.resolveFrame(frame); current.parentFrame(); current = current.parentFrame()) {
+      const iframe = await current.frameElement();
+      chain.unshift(await iframe.evaluate(stableSelectorScript, this.config.testIdAttribute));
+    }
+    return chain;
+  }
+
+  /**
+   * Get a selector for a target that does not depend on snapshot refs or frame ids, for recording.
+   * Returns { selector, frame } where frame is a chain of iframe selectors, if any.
+   */
+  async stableSelector(target) {
     await this.ensureLaunched();
-    await this.page.click(selector);
+    const { frame, locator } = await this.resolveTarget(target);
+    let selector = typeof target === 'string' ? target : target.selector;
+    if (!selector) {
+      // Look once instead of waiting; the action reports a missing element
+      const element = await firstElement(locator);
+      if (!element) {
+        throw new ToolError('ELEMENT_NOT_FOUND', 'No element matches the target');
+      }
+      selector = await element.evaluate(stableSelectorScript, this.config.testIdAttribute);
+    }
+    const stable = { selector };
+
+    const chain = await this.stableFrame(frame);
+    if (chain.length > 0) {
+      stable.frame = chain;
+    }
+    return stable;
   }
 
-  async type(selector, text) {
+  async click(target) {
     await this.ensureLaunched();
-    await this.page.fill(selector, text);
+    const { locator } = await this.resolveTarget(target);
+    await locator.click();
   }
 
-  async select(selector, value) {
+  async type(target, text) {
     await this.ensureLaunched();
-    await this.page.selectOption(selector, value);
+    const { locator } = await this.resolveTarget(target);
+    await locator.fill(text);
   }
 
-  async fillForm(fields) {
+  async select(target, value) {
     await this.ensureLaunched();
+    const { locator } = await this.resolveTarget(target);
+    await locator.selectOption(value);
+  }
+
+  async fillForm(fields, frame) {
+    await this.ensureLaunched();
+    const target = await this.resolveFrame(frame);
     for (const [selector, value] of Object.entries(fields)) {
-      await this.page.fill(selector, value);
+      await target.fill(selector, value);
     }
   }
 
-  async getText(selector) {
+  async doubleClick(target) {
     await this.ensureLaunched();
-    return await this.page.textContent(selector);
+    const { locator } = await this.resolveTarget(target);
+    await locator.dblclick();
   }
 
-  async getUrl() {
+  async rightClick(target) {
     await this.ensureLaunched();
-    return this.page.url();
+    const { locator } = await this.resolveTarget(target);
+    await locator.click({ button: 'right' });
   }
 
-  async getTitle() {
+  async hover(target) {
     await this.ensureLaunched();
-    return await this.page.title();
+    const { locator } = await this.resolveTarget(target);
+    await locator.hover();
   }
 
-  async waitFor(selector, timeout = 5000) {
+  async dragAndDrop(source, target) {
     await this.ensureLaunched();
-    await this.page.waitForSelector(selector, { timeout });
+    const from = await this.resolveTarget(source);
+    const to = await this.resolveTarget(target);
+    if (from.frame !== to.frame) {
+      throw new Error('Drag source and drop target must be in the same frame');
+    }
+    await from.locator.dragTo(to.locator);
   }
 
-  async evaluate(script) {
+  /**
+   * Press a key or chord such as "Enter" or "Control+Shift+K".
+   * Without a selector or ref the key goes to whatever has focus.
+   */
+  async pressKey(key, target = {}) {
     await this.ensureLaunched();
-    return await this.page.evaluate(script);
+    if (!hasTarget(target)) {
+      await this.page.keyboard.press(key);
+      return;
+    }
+    const { locator } = await this.resolveTarget(target);
+    await locator.press(key);
   }
 
-  async screenshot(filename) {
+  /**
+   * Type text one key at a time, firing keydown/keypress/keyup for every character
+   * so autocomplete and key handlers react like they would to a user.
+   */
+  async typeSequentially(target, text, { delay = 100, clear = false } = {}) {
     await this.ensureLaunched();
-    const path = filename || `screenshot-${Date.now()}.png`;
-    await this.page.screenshot({ path });
+    const { locator } = await this.resolveTarget(target);
+    if (clear) {
+      await locator.fill('');
+    }
+    await locator.pressSequentially(text, { delay });
+  }
+
+  /**
+   * Scroll an element into view, scroll inside an element by an offset, or scroll
+   * the window of the frame by an offset. Returns the resulting scroll position.
+   */
+  async scroll(target = {}, { x = 0, y = 0 } = {}) {
+    await this.ensureLaunched();
+    if (!hasTarget(target)) {
+      const frame = await this.resolveFrame(target.frame);
+      return await frame.evaluate(([dx, dy]) => {
+        window.scrollBy(dx, dy);
+        return { scrollX: window.scrollX, scrollY: window.scrollY };
+      }, [x, y]);
+    }
+
+    const { frame, locator } = await this.resolveTarget(target);
+    if (x === 0 && y === 0) {
+      await locator.scrollIntoViewIfNeeded();
+      return await frame.evaluate(() => ({ scrollX: window.scrollX, scrollY: window.scrollY }));
+    }
+    return await locator.evaluate((element, [dx, dy]) => {
+      element.scrollBy(dx, dy);
+      return { scrollX: element.scrollLeft, scrollY: element.scrollTop };
+    }, [x, y]);
+  }
+
+  async getText(target) {
+    await this.ensureLaunched();
+    // Like the other reads, the first match is used
+    const { locator } = await this.resolveTarget(target);
+    return await locator.first().textContent();
+  }
+
+  async getUrl(frame) {
+    await this.ensureLaunched();
+    return (await this.resolveFrame(frame)).url();
+  }
+
+  async getTitle(frame) {
+    await this.ensureLaunched();
+    return await (await this.resolveFrame(frame)).title();
+  }
+
+  async waitFor(target, timeout = 5000) {
+    await this.ensureLaunched();
+    const { locator } = await this.resolveTarget(target);
+    await locator.first().waitFor({ timeout });
+  }
+
+  /**
+   * Read from the element of a target without waiting for it to appear, for polling.
+   * Returns null when the element is not on the page.
+   */
+  async readElement(target, read) {
+    await this.ensureLaunched();
+    let element = null;
+    try {
+      const { locator } = await this.resolveTarget(target);
+      element = await firstElement(locator);
+    } catch (error) {
+      // A stale ref means the element is gone
+      if (!isMissingElement(error)) {
+        throw error;
+      }
+    }
+    return element ? await read(element) : null;
+  }
+
+  async countElements(target) {
+    await this.ensureLaunched();
+    const { locator } = await this.resolveTarget(target);
+    return await locator.count();
+  }
+
+  /**
+   * Re-read a value until it matches or the timeout passes, and add the verdict
+   * to the session's assertion tally.
+   * Returns { assertion, target, expected, actual, passed, elapsed }.
+   */
+  async expect({ assertion, target, expected }, read, matches, timeout = DEFAULT_EXPECT_TIMEOUT) {
+    await this.ensureLaunched();
+    const { passed, actual, elapsed } = await retryUntil(read, matches, timeout);
+    const verdict = { assertion, target, expected, actual, passed, elapsed };
+    this.assertions.record(verdict);
+    return verdict;
+  }
+
+  /**
+   * Write the assertion tally to a JSON file, e.g. for CI to read after a run.
+   */
+  exportAssertions(filename) {
+    const path = filename || `assertions-${Date.now()}.json`;
+    fs.writeFileSync(path, JSON.stringify(this.assertions.summary(), null, 2));
     return path;
   }
 
-  async snapshot() {
+  async evaluate(script, frame) {
+    await this.ensureLaunched();
+    return await (await this.resolveFrame(frame)).evaluate(script);
+  }
+
+  /**
+   * Capture the viewport, the full scrollable page, or one element.
+   * The image is saved when a filename is given; the format follows type or the filename extension.
+   * Returns { path, buffer, mimeType }.
+   */
+  async screenshot({ filename, target, fullPage = false, type, quality, scale = 'device' } = {}) {
+    await this.ensureLaunched();
+    const format = type || (filename && /\.jpe?g$/i.test(filename) ? 'jpeg' : 'png');
+    if (quality !== undefined && format !== 'jpeg') {
+      throw new ToolError('INVALID_ARGUMENT', 'quality is only supported for JPEG screenshots', { argument: 'quality' });
+    }
+
+    const options = { type: format, scale };
+    if (filename) {
+      options.path = filename;
+    }
+    if (quality !== undefined) {
+      options.quality = quality;
+    }
+
+    let buffer;
+    if (hasTarget(target)) {
+      const { locator } = await this.resolveTarget(target);
+      buffer = await locator.screenshot(options);
+    } else {
+      buffer = await this.page.screenshot({ ...options, fullPage });
+    }
+    return { path: filename || null, buffer, mimeType: `image/${format}` };
+  }
+
+  /**
+   * Run the bundled accessibility checks on the current page, or on the subtree of a target.
+   * Violations are sorted by severity and carry a ref and a stable selector for the element.
+   */
+  async auditAccessibility(target = {}, rules) {
+    await this.ensureLaunched();
+    const { frame, locator } = hasTarget(target)
+      ? await this.resolveTarget(target)
+      : { frame: await this.resolveFrame(target.frame), locator: null };
+    const frameId = this.getFrameId(frame);
+    const root = locator ? await firstElement(locator) : null;
+    if (locator && !root) {
+      throw new ToolError('ELEMENT_NOT_FOUND', 'No element to audit matches the target');
+    }
+
+    const violations = await frame.evaluate(auditScript, {
+      refAttribute: REF_ATTRIBUTE,
+      refPrefix: frameId || '',
+      root,
+      rules
+    });
+
+    for (const violation of violations) {
+      violation.selector = await frame.$eval(`[${REF_ATTRIBUTE}="${violation.ref}"]`, stableSelectorScript, this.config.testIdAttribute).catch(() => null);
+      if (frameId) {
+        violation.frame = frameId;
+      }
+    }
+    violations.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+    const summary = Object.fromEntries(SEVERITIES.map(severity => [
+      severity, violations.filter(violation => violation.severity === severity).length
+    ]));
+    return { url: frame.url(), summary, violations };
+  }
+
+  /**
+   * Compare a screenshot of the page, or of one element, with a named baseline.
+   * The baseline is created when missing and replaced when update is set.
+   * ignoreRegions are { x, y, width, height } rectangles in CSS pixels, relative to the
+   * screenshot, or { selector } to mask an element.
+   * The diff image is written whenever a baseline is compared.
+   */
+  async compareScreenshot(name, { target, fullPage = false, ignoreRegions = [], threshold = 0.1, maxDiffPercentage = 0, update = false } = {}) {
+    await this.ensureLaunched();
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new ToolError('INVALID_ARGUMENT', `Invalid baseline name "${name}": use letters, digits, ".", "_" and "-"`, { argument: 'name' });
+    }
+
+    const directory = path.resolve(this.config.baselinesDir || DEFAULT_BASELINES_DIR);
+    const baselinePath = path.join(directory, `${name}.png`);
+    const diffPath = path.join(directory, 'diff', `${name}.png`);
+    const actualPath = path.join(directory, 'diff', `${name}.actual.png`);
+
+    const frame = await this.resolveFrame(target && target.frame);
+    const options = {
+      animations: 'disabled',
+      caret: 'hide',
+      scale: 'css',
+      mask: ignoreRegions.filter(region => region.selector).map(region => frame.locator(region.selector))
+    };
+    let actual;
+    if (hasTarget(target)) {
+      const { locator } = await this.resolveTarget(target);
+      actual = await locator.screenshot(options);
+    } else {
+      actual = await this.page.screenshot({ ...options, fullPage });
+    }
+
+    if (update || !fs.existsSync(baselinePath)) {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(baselinePath, actual);
+      return { baseline: baselinePath, baselineUpdated: true, passed: true, mismatchPercentage: 0, mismatchedPixels: 0 };
+    }
+
+    const result = compareImages(actual, fs.readFileSync(baselinePath), {
+      ignoreRegions: ignoreRegions.filter(region => !region.selector),
+      threshold
+    });
+    const passed = !result.sizeMismatch && result.mismatchPercentage <= maxDiffPercentage;
+
+    fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+    fs.writeFileSync(diffPath, result.diff);
+    // Keep the failing screenshot next to the diff so it can be inspected or promoted
+    if (passed) {
+      fs.rmSync(actualPath, { force: true });
+    } else {
+      fs.writeFileSync(actualPath, actual);
+    }
+
+    return {
+      baseline: baselinePath,
+      diff: diffPath,
+      actual: passed ? null : actualPath,
+      baselineUpdated: false,
+      passed,
+      mismatchPercentage: result.mismatchPercentage,
+      mismatchedPixels: result.mismatchedPixels,
+      sizeMismatch: result.sizeMismatch
+    };
+  }
+
+  /**
+   * Snapshot the current tab, or only the given frame.
+   * Elements inside child frames get refs prefixed with their frame id, so refs
+   * can be used without also passing the frame.
+   */
+  async snapshot(frame) {
     await this.ensureLaunched();
     
     // Get basic page information
     const url = await this.getUrl();
     const title = await this.getTitle();
     
-    // Extract all interactive elements from the page
-    const elements = await this.page.evaluate(() => {
-      const interactive = document.querySelectorAll('a, button, input, select, textarea, [onclick], [role="button"]');
-      return Array.from(interactive).map((el, index) => ({
-        index,
-        tag: el.tagName.toLowerCase(),
-        text: el.textContent?.trim() || el.value || el.placeholder || '',
-        type: el.type || '',
-        role: el.getAttribute('role') || '',
-        id: el.id || '',
-        className: el.className || ''
-      }));
+    const root = await this.resolveFrame(frame);
+    const frames = this.page.frames().filter(f => {
+      for (let current = f; current; current = current.parentFrame()) {
+        if (current === root) {
+          return true;
+        }
+      }
+      return false;
     });
 
-    // Return page snapshot with filtered interactive elements
+    // Build the accessibility tree of every frame; refs are stored on the elements so they stay stable
+    const snapshots = [];
+    for (const current of frames) {
+      const id = this.getFrameId(current);
+      try {
+        const result = await current.evaluate(snapshotScript, { refAttribute: REF_ATTRIBUTE, refPrefix: id || '' });
+        snapshots.push({ frame: current, id, ...result });
+      } catch {
+        // Frames can detach while we walk them
+      }
+    }
+
+    const [main, ...children] = snapshots;
+
+    // Return page snapshot with the tree, a flat list of interactive elements and the frames
     return {
       url,
       title,
-      elements: elements.filter(el => el.text || el.id || el.className)
+      tree: main ? main.tree : [],
+      elements: snapshots.flatMap(({ id, elements }) => (id ? elements.map(el => ({ ...el, frame: id })) : elements)),
+      frames: children.map(({ frame: child, id, tree }) => ({
+        id,
+        name: child.name(),
+        url: child.url(),
+        parent: this.getFrameId(child.parentFrame()),
+        tree
+      }))
     };
   }
 
+  async getCookies(urls) {
+    await this.ensureLaunched();
+    return await this.context.cookies(urls);
+  }
+
+  async setCookies(cookies) {
+    await this.ensureLaunched();
+    await this.context.addCookies(cookies);
+  }
+
+  /**
+   * Clear cookies, optionally only those matching a name and/or domain.
+   * Returns the number of cookies removed.
+   */
+  async clearCookies({ name, domain } = {}) {
+    await this.ensureLaunched();
+    const cookies = await this.context.cookies();
+    const matches = (cookie) => (!name || cookie.name === name) &&
+      (!domain || cookie.domain.replace(/^\./, '') === domain.replace(/^\./, ''));
+
+    // Clear everything and put back the cookies that should stay
+    await this.context.clearCookies();
+    const kept = cookies.filter(cookie => !matches(cookie));
+    if (kept.length > 0) {
+      await this.context.addCookies(kept);
+    }
+    return cookies.length - kept.length;
+  }
+
+  getStorageName(type) {
+    if (type !== 'local' && type !== 'session') {
+      throw new Error(`Unknown storage type "${type}" (expected local or session)`);
+    }
+    return `${type}Storage`;
+  }
+
+  async getStorage(type, key) {
+    await this.ensureLaunched();
+    return await this.page.evaluate(([storageName, key]) => {
+      const storage = window[storageName];
+      if (key !== undefined) {
+        return storage.getItem(key);
+      }
+      return Object.fromEntries(Object.keys(storage).map(name => [name, storage.getItem(name)]));
+    }, [this.getStorageName(type), key]);
+  }
+
+  async setStorage(type, key, value) {
+    await this.ensureLaunched();
+    await this.page.evaluate(([storageName, key, value]) => {
+      window[storageName].setItem(key, value);
+    }, [this.getStorageName(type), key, value]);
+  }
+
+  async clearStorage(type, key) {
+    await this.ensureLaunched();
+    await this.page.evaluate(([storageName, key]) => {
+      if (key !== undefined) {
+        window[storageName].removeItem(key);
+      } else {
+        window[storageName].clear();
+      }
+    }, [this.getStorageName(type), key]);
+  }
+
+  /**
+   * Write cookies and local storage of all origins to a Playwright storageState file.
+   */
+  async saveStorageState(filename) {
+    await this.ensureLaunched();
+    const path = filename || `storage-state-${Date.now()}.json`;
+    await this.context.storageState({ path });
+    return path;
+  }
+
+  /**
+   * Start a fresh context from a Playwright storageState file, e.g. to reuse a login.
+   */
+  async loadStorageState(filename) {
+    if (!fs.existsSync(filename)) {
+      throw new ToolError('INVALID_ARGUMENT', `Storage state file not found: ${filename}`, { argument: 'filename' });
+    }
+    await this.recreateContext({ storageState: filename });
+  }
+
+  async uploadFiles(target, files) {
+    await this.ensureLaunched();
+    const missing = files.filter(file => !fs.existsSync(file));
+    if (missing.length > 0) {
+      throw new ToolError('INVALID_ARGUMENT', `Files not found: ${missing.join(', ')}`, { argument: 'files' });
+    }
+    const { locator } = await this.resolveTarget(target);
+    await locator.setInputFiles(files);
+  }
+
+  /**
+   * Save a download into the downloads directory under its suggested filename,
+   * adding a counter when a file with that name already exists.
+   */
+  saveDownload(download) {
+    const directory = path.resolve(this.config.downloadsDir || DEFAULT_DOWNLOADS_DIR);
+    const entry = {
+      id: this.downloads.length + 1,
+      suggestedFilename: download.suggestedFilename(),
+      url: download.url(),
+      path: null,
+      size: null,
+      status: 'in_progress',
+      startedAt: Date.now()
+    };
+    this.downloads.push(entry);
+
+    const save = (async () => {
+      try {
+        fs.mkdirSync(directory, { recursive: true });
+        const { name, ext } = path.parse(entry.suggestedFilename);
+        let target = path.join(directory, entry.suggestedFilename);
+        for (let counter = 1; fs.existsSync(target); counter++) {
+          target = path.join(directory, `${name}-${counter}${ext}`);
+        }
+
+        await download.saveAs(target);
+        entry.path = target;
+        entry.size = fs.statSync(target).size;
+        entry.status = 'completed';
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = (await download.failure().catch(() => null)) || error.message;
+      }
+    })();
+
+    this.pendingDownloads.add(save);
+    save.finally(() => this.pendingDownloads.delete(save));
+  }
+
+  /**
+   * List downloads, first waiting up to timeout ms for downloads still in progress.
+   */
+  async listDownloads(timeout = 0) {
+    if (timeout > 0 && this.pendingDownloads.size > 0) {
+      await Promise.race([
+        Promise.all(this.pendingDownloads),
+        new Promise(resolve => setTimeout(resolve, timeout))
+      ]);
+    }
+    return this.downloads;
+  }
+
+  /**
+   * Explain why an element target failed: the current URL, how many elements the
+   * selector matches, and the elements that look like what was meant.
+   * Optionally saves a screenshot of the page. Never throws; what cannot be found out is left out.
+   */
+  async diagnoseTarget(target, { screenshot = false } = {}) {
+    const diagnostics = { url: this.page ? this.page.url() : null };
+    if (!this.page || this.unhealthy) {
+      return diagnostics;
+    }
+    if (screenshot) {
+      diagnostics.screenshot = await this.saveFailureScreenshot();
+    }
+
+    try {
+      const { ref } = target;
+      // What the caller asked for, in the words of the messages
+      const selector = target.selector || (target.locator && describeLocator(target.locator));
+      // A ref names its own frame, whatever the frame argument says
+      const frame = selector || !ref ? await this.resolveFrame(target.frame) : this.getRefFrame(ref);
+      if (!frame) {
+        diagnostics.matchCount = 0;
+        diagnostics.problem = `The frame of ref "${ref}" is no longer on the page; take a new snapshot`;
+        return diagnostics;
+      }
+      const frameId = this.getFrameId(frame);
+      if (frameId) {
+        diagnostics.frame = frameId;
+      }
+
+      let matches = null;
+      if (selector) {
+        const elements = target.selector ? frame.locator(target.selector) : this.toLocator(frame, target.locator);
+        diagnostics.matchCount = await elements.count().catch(() => null);
+        if (diagnostics.matchCount === null) {
+          diagnostics.problem = `"${selector}" is not a valid selector`;
+        } else if (diagnostics.matchCount === 0) {
+          diagnostics.problem = `No element matches "${selector}"`;
+        } else if (diagnostics.matchCount > 1) {
+          diagnostics.problem = `${diagnostics.matchCount} elements match "${selector}"; use a selector or ref that matches one`;
+          matches = elements;
+        } else {
+          const visible = await elements.isVisible();
+          const enabled = await elements.isEnabled().catch(() => true);
+          diagnostics.problem = !visible
+            ? 'The element exists but is not visible'
+            : !enabled ? 'The element is disabled' : 'The element exists but could not be used; it may be covered or still moving';
+        }
+      } else if (ref) {
+        diagnostics.matchCount = await frame.locator(`[${REF_ATTRIBUTE}="${ref}"]`).count();
+        if (diagnostics.matchCount === 0) {
+          diagnostics.problem = `Ref "${ref}" is no longer on the page; take a new snapshot`;
+        }
+      }
+
+      // Several matches: show them so one can be picked; no match: show look-alikes
+      const { terms, phrases } = selector ? selectorTerms(selector) : { terms: [], phrases: [] };
+      const pool = matches || (diagnostics.matchCount === 0 && (terms.length > 0 || phrases.length > 0) ? frame.locator(CANDIDATE_POOL) : null);
+      if (pool) {
+        const candidates = await pool.evaluateAll(candidatesScript, {
+          refAttribute: REF_ATTRIBUTE,
+          refPrefix: frameId || '',
+          terms: matches ? [] : terms,
+          phrases: matches ? [] : phrases,
+          limit: MAX_CANDIDATES
+        });
+        for (const candidate of candidates) {
+          candidate.selector = await frame.$eval(`[${REF_ATTRIBUTE}="${candidate.ref}"]`, stableSelectorScript, this.config.testIdAttribute).catch(() => null);
+        }
+        diagnostics.candidates = candidates;
+      }
+    } catch (error) {
+      diagnostics.diagnosticsError = error.message;
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Save a screenshot of the current page in the failure screenshots directory.
+   * Returns its path, or undefined when there is no page to capture. Never throws.
+   */
+  async saveFailureScreenshot(name = 'failure') {
+    if (!this.page || this.unhealthy) {
+      return undefined;
+    }
+    const filename = path.resolve(this.config.failureScreenshotsDir || DEFAULT_FAILURES_DIR, `${name}-${Date.now()}.png`);
+    return await this.page.screenshot({ path: filename }).then(() => filename, () => undefined);
+  }
+
+  /**
+   * Throw for emulation settings the browser cannot apply, before anything is changed.
+   */
+  checkEmulation(emulation) {
+    if (emulation.device) {
+      getDevice(emulation.device);
+    }
+    if (toNetworkConditions(emulation.throttling) && (this.config.browser || 'chromium') !== 'chromium') {
+      throw new ToolError('INVALID_ARGUMENT', 'Network throttling is only supported in Chromium', { argument: 'throttling' });
+    }
+  }
+
+  getMediaEmulation() {
+    // null turns emulation off again
+    return {
+      colorScheme: this.emulation.colorScheme ?? null,
+      reducedMotion: this.emulation.reducedMotion ?? null
+    };
+  }
+
+  /**
+   * Apply the network throttling setting to a tab through the DevTools protocol.
+   */
+  async throttle(page) {
+    const conditions = toNetworkConditions(this.emulation.throttling);
+    if (!this.cdpSessions.has(page)) {
+      if (!conditions) {
+        return;
+      }
+      // Store the promise so concurrent calls for a new tab share one session
+      this.cdpSessions.set(page, this.context.newCDPSession(page).then(async (session) => {
+        await session.send('Network.enable');
+        return session;
+      }));
+    }
+    const session = await this.cdpSessions.get(page);
+    await session.send('Network.emulateNetworkConditions', {
+      ...(conditions || { latency: 0, downloadThroughput: -1, uploadThroughput: -1 }),
+      // Keep the context's offline setting, which uses the same DevTools command
+      offline: Boolean(this.emulation.offline)
+    });
+  }
+
+  /**
+   * Change emulation settings. Settings not in changes are kept; reset goes back to the configured ones.
+   * Device, locale and timezone are fixed when a context is created, so changing them
+   * recreates the context, keeping cookies, local storage and the current URL.
+   */
+  async emulate({ reset = false, ...changes } = {}) {
+    await this.ensureLaunched();
+    const emulation = { ...(reset ? this.config.emulation : this.emulation), ...changes };
+    this.checkEmulation(emulation);
+
+    const changed = (key) => key in changes && JSON.stringify(changes[key]) !== JSON.stringify(this.emulation[key]);
+    const recreatedContext = reset || CONTEXT_SETTINGS.some(changed);
+
+    if (recreatedContext) {
+      const url = this.page?.url();
+      const storageState = await this.context.storageState();
+      this.emulation = emulation;
+      await this.recreateContext({ storageState });
+      if (url && url !== 'about:blank') {
+        await this.page.goto(url);
+      }
+    } else {
+      this.emulation = emulation;
+      if ('offline' in changes) {
+        await this.context.setOffline(Boolean(emulation.offline));
+      }
+      if ('geolocation' in changes) {
+        await this.context.setGeolocation(emulation.geolocation || null);
+      }
+      if ('geolocation' in changes || 'permissions' in changes) {
+        await this.context.clearPermissions();
+        const permissions = getPermissions(emulation);
+        if (permissions.length > 0) {
+          await this.context.grantPermissions(permissions);
+        }
+      }
+      if ('colorScheme' in changes || 'reducedMotion' in changes) {
+        for (const page of this.pages) {
+          await page.emulateMedia(this.getMediaEmulation());
+        }
+      }
+    }
+
+    if (recreatedContext || 'offline' in changes || 'throttling' in changes) {
+      for (const page of this.pages) {
+        await this.throttle(page);
+      }
+    }
+
+    return {
+      emulation: this.emulation,
+      recreatedContext,
+      viewport: this.page ? this.page.viewportSize() : null
+    };
+  }
+
+  /**
+   * Start a Playwright trace of the context with DOM snapshots, screenshots and sources.
+   */
+  async startTrace({ name, screenshots = true, snapshots = true, sources = true } = {}) {
+    await this.ensureLaunched();
+    if (this.tracing) {
+      throw new Error('A trace is already running. Stop it with trace_stop first');
+    }
+    const options = { name: name || `trace-${Date.now()}`, screenshots, snapshots, sources };
+    await this.context.tracing.start(options);
+    this.tracing = options;
+    return options;
+  }
+
+  /**
+   * Stop the running trace and write it as a zip that `npx playwright show-trace` opens.
+   */
+  async stopTrace(filename) {
+    if (!this.tracing) {
+      throw new Error('No trace is running. Start one with trace_start');
+    }
+    const file = path.resolve(filename || path.join(this.config.tracesDir || DEFAULT_TRACES_DIR, `${this.tracing.name}.zip`));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    await this.context.tracing.stop({ path: file });
+    this.tracing = null;
+    this.traces.push(file);
+    return file;
+  }
+
+  /**
+   * Close the browser, saving a running trace first.
+   * Returns the trace and video files written by the session; videos are only
+   * complete once their context is closed.
+   */
   async close() {
     if (this.browser) {
-      await this.browser.close();
+      if (this.tracing) {
+        await this.stopTrace().catch(error => console.error(`Failed to save trace: ${error.message}`));
+        this.tracing = null;
+      }
+      const browser = this.browser;
       this.browser = null;
-      this.context = null;
+      await this.closeContext();
+      await browser.close().catch(() => {});
       this.page = null;
+      this.pages = [];
+      this.unhealthy = null;
     }
+    return { traces: this.traces, videos: this.videos };
   }
 }
@@ -0,0 +1,309 @@
+/**
+ * Server configuration for Zypin MCP
+ * Merges defaults, a JSON config file, ZYPIN_MCP_* environment variables and command line options,
+ * in that order of precedence, and validates every source against one schema
+ *
+ * TODO:
+ * - Reload the config file without restarting the server
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { validateSchema, formatErrors } from './validate.js';
+import { COLOR_SCHEMES, REDUCED_MOTION, GEOLOCATION_SCHEMA, THROTTLING_SCHEMA, THROTTLING_PRESETS, getDevice } from './emulation.js';
+
+export const CONFIG_FILENAME = 'zypin-mcp.json';
+
+export const TOOL_GROUPS = [
+  'navigation', 'tabs', 'interaction', 'files', 'information', 'assertions', 'network',
+  'emulation', 'storage', 'console', 'recorder', 'tracing', 'utility', 'sessions', 'templates', 'plugins'
+];
+
+export const DEFAULT_CONFIG = {
+  browser: 'chromium',
+  headless: true,
+  viewport: { width: 1280, height: 720 },
+  timeout: 30000,
+  consoleErrors: true,
+  launchArgs: [],
+  contextOptions: {},
+  emulation: {},
+  downloadsDir: 'downloads',
+  baselinesDir: 'baselines',
+  trace: false,
+  tracesDir: 'traces',
+  recordVideo: false,
+  videosDir: 'videos',
+  failureScreenshots: false,
+  failureScreenshotsDir: 'failures',
+  testIdAttribute: 'data-testid',
+  toolGroups: TOOL_GROUPS,
+  plugins: [],
+  transport: 'stdio',
+  port: 3000,
+  host: 'localhost'
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    browser: { type: 'string', enum: ['chromium', 'firefox', 'webkit'] },
+    headless: { type: 'boolean' },
+    viewport: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        width: { type: 'integer', minimum: 1 },
+        height: { type: 'integer', minimum: 1 }
+      }
+    },
+    timeout: { type: 'integer', minimum: 0 },
+    consoleErrors: { type: 'boolean' },
+    launchArgs: { type: 'array', items: { type: 'string' } },
+    contextOptions: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        locale: { type: 'string' },
+        timezoneId: { type: 'string' },
+        userAgent: { type: 'string' },
+        extraHTTPHeaders: { type: 'object', additionalProperties: { type: 'string' } }
+      }
+    },
+    emulation: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        device: { type: 'string' },
+        geolocation: GEOLOCATION_SCHEMA,
+        permissions: { type: 'array', items: { type: 'string' } },
+        locale: { type: 'string' },
+        timezone: { type: 'string' },
+        colorScheme: { type: 'string', enum: COLOR_SCHEMES },
+        reducedMotion: { type: 'string', enum: REDUCED_MOTION },
+        offline: { type: 'boolean' },
+        throttling: THROTTLING_SCHEMA
+      }
+    },
+    downloadsDir: { type: 'string' },
+    baselinesDir: { type: 'string' },
+    trace: { type: 'boolean' },
+    tracesDir: { type: 'string' },
+    recordVideo: { type: 'boolean' },
+    videosDir: { type: 'string' },
+    failureScreenshots: { type: 'boolean' },
+    failureScreenshotsDir: { type: 'string' },
+    testIdAttribute: { type: 'string' },
+    toolGroups: { type: 'array', items: { type: 'string', enum: TOOL_GROUPS } },
+    plugins: { type: 'array', items: { type: 'string' } },
+    transport: { type: 'string', enum: ['stdio', 'http'] },
+    port: { type: 'integer', minimum: 0, maximum: 65535 },
+    host: { type: 'string' },
+    authToken: { type: 'string' }
+  }
+};
+
+export class ConfigError extends Error {
+  constructor(source, errors) {
+    super(`Invalid configuration in ${source}:\n${formatErrors(errors)}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check the values the schema cannot: device names and throttling presets.
+ */
+function checkEmulation({ device, throttling } = {}) {
+  const errors = [];
+  if (device !== undefined) {
+    try {
+      getDevice(device);
+    } catch (error) {
+      errors.push({ path: 'emulation.device', message: error.message });
+    }
+  }
+  if (typeof throttling === 'string' && throttling !== 'none' && !THROTTLING_PRESETS[throttling]) {
+    errors.push({ path: 'emulation.throttling', message: `must be one of: none, ${Object.keys(THROTTLING_PRESETS).join(', ')}` });
+  }
+  return errors;
+}
+
+function check(source, config) {
+  const errors = validateSchema(CONFIG_SCHEMA, config);
+  if (errors.length === 0) {
+    errors.push(...checkEmulation(config.emulation));
+  }
+  if (errors.length > 0) {
+    throw new ConfigError(source, errors);
+  }
+  return config;
+}
+
+// Keep non-numeric strings so validation reports them instead of silently dropping them
+const toNumber = (value) => (value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value);
+const toBoolean = (value) => ({ true: true, '1': true, false: false, '0': false }[String(value).toLowerCase()] ?? value);
+const toList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+// "latitude,longitude[,accuracy]"
+const toGeolocation = (value) => {
+  const [latitude, longitude, accuracy] = value.split(',').map(item => toNumber(item.trim()));
+  return accuracy === undefined ? { latitude, longitude } : { latitude, longitude, accuracy };
+};
+// A preset name, or "latency,downloadKbps,uploadKbps"
+const toThrottling = (value) => {
+  if (!value.includes(',')) {
+    return value;
+  }
+  const [latency, downloadKbps, uploadKbps] = value.split(',').map(item => toNumber(item.trim()));
+  return { latency, downloadKbps, uploadKbps };
+};
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve relative plugin paths in a config file against the file's directory,
+ * so the file works from any working directory. Package names are left alone.
+ */
+function resolvePluginPaths(config, file) {
+  if (!Array.isArray(config.plugins)) {
+    return config;
+  }
+  const dir = path.dirname(file);
+  return {
+    ...config,
+    plugins: config.plugins.map(plugin => (plugin.startsWith('.') ? path.resolve(dir, plugin) : plugin))
+  };
+}
+
+function fromEnv(env) {
+  const config = {};
+  const set = (name, apply) => {
+    const value = env[`ZYPIN_MCP_${name}`];
+    if (value !== undefined && value !== '') {
+      apply(value);
+    }
+  };
+
+  set('BROWSER', value => { config.browser = value; });
+  set('HEADLESS', value => { config.headless = toBoolean(value); });
+  set('WIDTH', value => { config.viewport = { ...config.viewport, width: toNumber(value) }; });
+  set('HEIGHT', value => { config.viewport = { ...config.viewport, height: toNumber(value) }; });
+  set('TIMEOUT', value => { config.timeout = toNumber(value); });
+  set('CONSOLE_ERRORS', value => { config.consoleErrors = toBoolean(value); });
+  set('LAUNCH_ARGS', value => { config.launchArgs = value.split(/\s+/).filter(Boolean); });
+  set('LOCALE', value => { config.contextOptions = { ...config.contextOptions, locale: value }; });
+  set('TIMEZONE', value => { config.contextOptions = { ...config.contextOptions, timezoneId: value }; });
+  set('USER_AGENT', value => { config.contextOptions = { ...config.contextOptions, userAgent: value }; });
+  set('DEVICE', value => { config.emulation = { ...config.emulation, device: value }; });
+  set('GEOLOCATION', value => { config.emulation = { ...config.emulation, geolocation: toGeolocation(value) }; });
+  set('PERMISSIONS', value => { config.emulation = { ...config.emulation, permissions: toList(value) }; });
+  set('COLOR_SCHEME', value => { config.emulation = { ...config.emulation, colorScheme: value }; });
+  set('REDUCED_MOTION', value => { config.emulation = { ...config.emulation, reducedMotion: value }; });
+  set('OFFLINE', value => { config.emulation = { ...config.emulation, offline: toBoolean(value) }; });
+  set('THROTTLING', value => { config.emulation = { ...config.emulation, throttling: toThrottling(value) }; });
+  set('DOWNLOADS_DIR', value => { config.downloadsDir = value; });
+  set('BASELINES_DIR', value => { config.baselinesDir = value; });
+  set('TRACE', value => { config.trace = toBoolean(value); });
+  set('TRACES_DIR', value => { config.tracesDir = value; });
+  set('RECORD_VIDEO', value => { config.recordVideo = toBoolean(value); });
+  set('VIDEOS_DIR', value => { config.videosDir = value; });
+  set('FAILURE_SCREENSHOTS', value => { config.failureScreenshots = toBoolean(value); });
+  set('FAILURE_SCREENSHOTS_DIR', value => { config.failureScreenshotsDir = value; });
+  set('TEST_ID_ATTRIBUTE', value => { config.testIdAttribute = value; });
+  set('TOOLS', value => { config.toolGroups = toList(value); });
+  set('PLUGINS', value => { config.plugins = toList(value); });
+  set('TRANSPORT', value => { config.transport = value; });
+  set('PORT', value => { config.port = toNumber(value); });
+  set('HOST', value => { config.host = value; });
+  set('AUTH_TOKEN', value => { config.authToken = value; });
+  return config;
+}
+
+function fromCli(options) {
+  const config = {};
+  const set = (name, apply) => {
+    if (options[name] !== undefined) {
+      apply(options[name]);
+    }
+  };
+
+  set('browser', value => { config.browser = value; });
+  set('headless', () => { config.headless = true; });
+  set('headed', () => { config.headless = false; });
+  set('width', value => { config.viewport = { ...config.viewport, width: toNumber(value) }; });
+  set('height', value => { config.viewport = { ...config.viewport, height: toNumber(value) }; });
+  set('timeout', value => { config.timeout = toNumber(value); });
+  set('consoleErrors', value => { config.consoleErrors = value; });
+  set('locale', value => { config.contextOptions = { ...config.contextOptions, locale: value }; });
+  set('timezone', value => { config.contextOptions = { ...config.contextOptions, timezoneId: value }; });
+  set('device', value => { config.emulation = { ...config.emulation, device: value }; });
+  set('geolocation', value => { config.emulation = { ...config.emulation, geolocation: toGeolocation(value) }; });
+  set('permissions', value => { config.emulation = { ...config.emulation, permissions: toList(value) }; });
+  set('colorScheme', value => { config.emulation = { ...config.emulation, colorScheme: value }; });
+  set('reducedMotion', value => { config.emulation = { ...config.emulation, reducedMotion: value }; });
+  set('offline', () => { config.emulation = { ...config.emulation, offline: true }; });
+  set('throttling', value => { config.emulation = { ...config.emulation, throttling: toThrottling(value) }; });
+  set('downloadsDir', value => { config.downloadsDir = value; });
+  set('baselinesDir', value => { config.baselinesDir = value; });
+  set('trace', () => { config.trace = true; });
+  set('tracesDir', value => { config.tracesDir = value; });
+  set('recordVideo', () => { config.recordVideo = true; });
+  set('videosDir', value => { config.videosDir = value; });
+  set('failureScreenshots', () => { config.failureScreenshots = true; });
+  set('failureScreenshotsDir', value => { config.failureScreenshotsDir = value; });
+  set('testIdAttribute', value => { config.testIdAttribute = value; });
+  set('tools', value => { config.toolGroups = toList(value); });
+  set('plugin', value => { config.plugins = value; });
+  set('transport', value => { config.transport = value; });
+  set('port', value => { config.port = toNumber(value); });
+  set('host', value => { config.host = value; });
+  set('authToken', value => { config.authToken = value; });
+  return config;
+}
+
+function merge(...configs) {
+  return configs.reduce((merged, config) => ({
+    ...merged,
+    ...config,
+    viewport: { ...merged.viewport, ...config.viewport },
+    contextOptions: { ...merged.contextOptions, ...config.contextOptions },
+    emulation: { ...merged.emulation, ...config.emulation },
+    // Plugins from every source are loaded, not just the last one
+    plugins: [...(merged.plugins || []), ...(config.plugins || [])]
+  }), {});
+}
+
+/**
+ * Load the server configuration.
+ * cliOptions should only contain options that were actually given on the command line.
+ * The config file is --config, ZYPIN_MCP_CONFIG, or zypin-mcp.json in cwd if it exists.
+ */
+export function loadConfig({ cliOptions = {}, cwd = process.cwd(), env = process.env } = {}) {
+  const explicitFile = cliOptions.config || env.ZYPIN_MCP_CONFIG;
+  const file = explicitFile ? path.resolve(cwd, explicitFile) : path.join(cwd, CONFIG_FILENAME);
+
+  const useFile = Boolean(explicitFile) || fs.existsSync(file);
+  const fileConfig = useFile ? resolvePluginPaths(check(file, readConfigFile(file)), file) : {};
+
+  const config = merge(
+    DEFAULT_CONFIG,
+    fileConfig,
+    check('ZYPIN_MCP_* environment variables', fromEnv(env)),
+    check('command line options', fromCli(cliOptions))
+  );
+
+  return { config, file: useFile ? file : null };
+}
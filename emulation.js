@@ -0,0 +1,133 @@
+/**
+ * Emulation settings for Zypin MCP
+ * Maps device, geolocation, locale, media and network emulation settings onto
+ * Playwright context options and Chrome DevTools network conditions
+ *
+ * TODO:
+ * - Throttle CPU as well as the network
+ * - Support network throttling outside Chromium
+ */
+
+import { devices } from 'playwright-core';
+import { ToolError } from './tool-call.js';
+
+export const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+export const REDUCED_MOTION = ['reduce', 'no-preference'];
+
+// Roughly the Chrome DevTools presets; throughput in kilobits per second
+export const THROTTLING_PRESETS = {
+  'slow-3g': { latency: 2000, downloadKbps: 400, uploadKbps: 400 },
+  'fast-3g': { latency: 563, downloadKbps: 1600, uploadKbps: 750 },
+  '4g': { latency: 170, downloadKbps: 9000, uploadKbps: 9000 }
+};
+
+// Shared by the config schema and the emulate tool
+export const GEOLOCATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['latitude', 'longitude'],
+  properties: {
+    latitude: { type: 'number', minimum: -90, maximum: 90 },
+    longitude: { type: 'number', minimum: -180, maximum: 180 },
+    accuracy: { type: 'number', minimum: 0 }
+  }
+};
+
+export const THROTTLING_SCHEMA = {
+  type: ['string', 'object'],
+  additionalProperties: false,
+  properties: {
+    latency: { type: 'number', minimum: 0 },
+    downloadKbps: { type: 'number', minimum: 0 },
+    uploadKbps: { type: 'number', minimum: 0 }
+  }
+};
+
+// Settings baked into a context; changing them needs a new one
+export const CONTEXT_SETTINGS = ['device', 'locale', 'timezone'];
+
+/**
+ * Look up a Playwright device descriptor by name, ignoring case.
+ */
+export function getDevice(name) {
+  const key = Object.keys(devices).find(device => device.toLowerCase() === name.toLowerCase());
+  if (!key) {
+    const suggestions = Object.keys(devices)
+      .filter(device => device.toLowerCase().includes(name.toLowerCase().split(' ')[0]))
+      .slice(0, 5);
+    throw new ToolError('INVALID_ARGUMENT', `Unknown device "${name}"${suggestions.length > 0 ? `. Did you mean: ${suggestions.join(', ')}?` : ''}`, { argument: 'device' });
+  }
+  // defaultBrowserType is a hint for launching, not a context option
+  const { defaultBrowserType, ...descriptor } = devices[key];
+  return descriptor;
+}
+
+/**
+ * Permissions to grant: the requested ones, plus geolocation when a position is emulated.
+ */
+export function getPermissions(emulation) {
+  const permissions = new Set(emulation.permissions || []);
+  if (emulation.geolocation) {
+    permissions.add('geolocation');
+  }
+  return Array.from(permissions);
+}
+
+/**
+ * Turn emulation settings into options for browser.newContext().
+ */
+export function toContextOptions(emulation = {}, { browserName } = {}) {
+  const options = {};
+  if (emulation.device) {
+    Object.assign(options, getDevice(emulation.device));
+    // Firefox has no mobile emulation
+    if (browserName === 'firefox') {
+      delete options.isMobile;
+    }
+  }
+  if (emulation.locale) {
+    options.locale = emulation.locale;
+  }
+  if (emulation.timezone) {
+    options.timezoneId = emulation.timezone;
+  }
+  if (emulation.geolocation) {
+    options.geolocation = emulation.geolocation;
+  }
+  const permissions = getPermissions(emulation);
+  if (permissions.length > 0) {
+    options.permissions = permissions;
+  }
+  if (emulation.colorScheme) {
+    options.colorScheme = emulation.colorScheme;
+  }
+  if (emulation.reducedMotion) {
+    options.reducedMotion = emulation.reducedMotion;
+  }
+  if (emulation.offline) {
+    options.offline = true;
+  }
+  return options;
+}
+
+/**
+ * Turn a throttling preset name or { latency, downloadKbps, uploadKbps } into
+ * parameters for the Network.emulateNetworkConditions DevTools command.
+ * Returns null when the network should not be throttled.
+ */
+export function toNetworkConditions(throttling) {
+  if (!throttling || throttling === 'none') {
+    return null;
+  }
+  const settings = typeof throttling === 'string' ? THROTTLING_PRESETS[throttling] : throttling;
+  if (!settings) {
+    throw new ToolError('INVALID_ARGUMENT', `Unknown throttling preset "${throttling}" (presets: none, ${Object.keys(THROTTLING_PRESETS).join(', ')})`, { argument: 'throttling' });
+  }
+  const toBytesPerSecond = (kbps) => (kbps === undefined ? -1 : (kbps * 1000) / 8);
+  return {
+    offline: false,
+    latency: settings.latency || 0,
+    downloadThroughput: toBytesPerSecond(settings.downloadKbps),
+    uploadThroughput: toBytesPerSecond(settings.uploadKbps)
+  };
+}
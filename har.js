@@ -0,0 +1,86 @@
+/**
+ * HAR export for Zypin MCP
+ * Converts the SimpleBrowser network log into a HAR 1.2 document
+ *
+ * TODO:
+ * - Include response bodies for text content types
+ * - Group entries by page
+ */
+
+function toHeaderList(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
+
+function toQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function toHarEntry(entry) {
+  const request = {
+    method: entry.method,
+    url: entry.url,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: toHeaderList(entry.requestHeaders),
+    queryString: toQueryString(entry.url),
+    headersSize: -1,
+    bodySize: entry.requestBodySize ?? -1
+  };
+  if (entry.postData) {
+    request.postData = {
+      mimeType: entry.requestHeaders?.['content-type'] || '',
+      text: entry.postData
+    };
+  }
+
+  const harEntry = {
+    startedDateTime: new Date(entry.startedAt).toISOString(),
+    time: entry.duration ?? -1,
+    request,
+    response: {
+      // HAR uses status 0 for requests that never got a response
+      status: entry.status ?? 0,
+      statusText: entry.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHeaderList(entry.responseHeaders),
+      content: {
+        size: entry.size ?? -1,
+        mimeType: entry.mimeType || ''
+      },
+      redirectURL: entry.responseHeaders?.location || '',
+      headersSize: -1,
+      bodySize: entry.size ?? -1
+    },
+    cache: {},
+    timings: {
+      send: 0,
+      wait: entry.duration ?? -1,
+      receive: 0
+    },
+    _resourceType: entry.resourceType
+  };
+  if (entry.failure) {
+    harEntry.response._error = entry.failure;
+  }
+  return harEntry;
+}
+
+export function toHar(entries, browserInfo = {}) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'zypin-mcp', version: '1.0.0' },
+      browser: {
+        name: browserInfo.name || 'chromium',
+        version: browserInfo.version || ''
+      },
+      pages: [],
+      entries: entries.map(toHarEntry)
+    }
+  };
+}
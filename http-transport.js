@@ -0,0 +1,224 @@
+/**
+ * HTTP transport for Zypin MCP
+ * Serves MCP over Streamable HTTP (/mcp) with the legacy SSE transport (/sse, /messages) as a fallback.
+ * Every MCP session gets its own server and browser sessions, created by the connection factory
+ *
+ * TODO:
+ * - Expire idle connections
+ * - Support resumable streams with an event store
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message) {
+  sendJson(res, status, {
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  });
+}
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+class PayloadTooLargeError extends Error {}
+
+async function readJson(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new PayloadTooLargeError(`Request body is larger than ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  return text ? JSON.parse(text) : undefined;
+}
+
+function isAuthorized(req, authToken) {
+  if (!authToken) {
+    return true;
+  }
+  const header = req.headers.authorization || '';
+  const expected = Buffer.from(`Bearer ${authToken}`);
+  const actual = Buffer.from(header);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function hostnameOf(value) {
+  try {
+    return new URL(value).hostname;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Guard against DNS rebinding: a web page whose domain resolves to this machine must not reach
+ * the tools, so Host and Origin have to name the host the server is bound to. A server bound to
+ * every interface cannot tell its own names apart and relies on the auth token instead.
+ */
+function isAllowedHost(req, allowedHosts) {
+  if (!allowedHosts) {
+    return true;
+  }
+  if (!allowedHosts.includes(hostnameOf(`http://${req.headers.host}`))) {
+    return false;
+  }
+  return !req.headers.origin || allowedHosts.includes(hostnameOf(req.headers.origin));
+}
+
+/**
+ * Start an HTTP server for MCP clients.
+ * createConnection() must return { server, close } where server is an unconnected MCP Server.
+ */
+export async function startHttpServer(createConnection, { port = 3000, host = 'localhost', authToken } = {}) {
+  // MCP session id -> { transport, connection }
+  const connections = new Map();
+  const allowedHosts = WILDCARD_HOSTS.includes(host)
+    ? undefined
+    : [...new Set([...LOOPBACK_HOSTS, hostnameOf(`http://${host.includes(':') ? `[${host}]` : host}`)])];
+
+  const closeConnection = async (sessionId) => {
+    const entry = connections.get(sessionId);
+    if (!entry) {
+      return;
+    }
+    connections.delete(sessionId);
+    await entry.connection.close();
+  };
+
+  const handleStreamable = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJson(req) : undefined;
+
+    if (sessionId) {
+      const entry = connections.get(sessionId);
+      if (!entry || !(entry.transport instanceof StreamableHTTPServerTransport)) {
+        return sendRpcError(res, 404, 'Session not found');
+      }
+      return entry.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return sendRpcError(res, 400, 'Bad Request: No valid session ID provided');
+    }
+
+    const connection = createConnection();
+    let initialized = false;
+    let abandoned = false;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        initialized = true;
+        connections.set(id, { transport, connection });
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        closeConnection(transport.sessionId);
+      }
+    };
+    // Nothing else knows about a connection whose initialize request failed or was dropped
+    const abandon = async () => {
+      if (initialized || abandoned) {
+        return;
+      }
+      abandoned = true;
+      await transport.close().catch(() => {});
+      await connection.close();
+    };
+    res.on('close', abandon);
+
+    try {
+      await connection.server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      await abandon();
+      throw error;
+    }
+  };
+
+  const handleSse = async (req, res) => {
+    const connection = createConnection();
+    const transport = new SSEServerTransport('/messages', res);
+    connections.set(transport.sessionId, { transport, connection });
+    res.on('close', () => closeConnection(transport.sessionId));
+    await connection.server.connect(transport);
+  };
+
+  const handleSseMessage = async (req, res, url) => {
+    const entry = connections.get(url.searchParams.get('sessionId'));
+    if (!entry || !(entry.transport instanceof SSEServerTransport)) {
+      return sendRpcError(res, 404, 'Session not found');
+    }
+    await entry.transport.handlePostMessage(req, res, await readJson(req));
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      if (!isAllowedHost(req, allowedHosts)) {
+        return sendJson(res, 403, { error: 'Forbidden: host not allowed' });
+      }
+      if (!isAuthorized(req, authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return sendJson(res, 401, { error: 'Unauthorized' });
+      }
+
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      if (url.pathname === '/mcp') {
+        return await handleStreamable(req, res);
+      }
+      if (url.pathname === '/sse' && req.method === 'GET') {
+        return await handleSse(req, res);
+      }
+      if (url.pathname === '/messages' && req.method === 'POST') {
+        return await handleSseMessage(req, res, url);
+      }
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      console.error('HTTP request failed:', error.message);
+      if (!res.headersSent) {
+        if (error instanceof PayloadTooLargeError) {
+          // The rest of the body is still on its way, so the connection cannot be reused
+          res.setHeader('Connection', 'close');
+          return sendRpcError(res, 413, error.message);
+        }
+        const status = error instanceof SyntaxError ? 400 : 500;
+        sendRpcError(res, status, status === 400 ? 'Parse error: invalid JSON body' : 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  return {
+    address: httpServer.address(),
+    async close() {
+      // Take the entries first: closing a transport fires onclose, which would otherwise
+      // start closing the connection without waiting for it
+      const entries = [...connections.values()];
+      connections.clear();
+      for (const { transport, connection } of entries) {
+        await transport.close().catch(() => {});
+        await connection.close();
+      }
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  };
+}
@@ -17,22 +17,139 @@ import { program } from 'commander';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { SimpleBrowser } from './browser.js';
+import { SessionManager } from './sessions.js';
 import { createTools } from './tools.js';
+import { startHttpServer } from './http-transport.js';
+import { loadConfig } from './config.js';
+import { loadPlugins } from './plugins.js';
+import { callTool, toErrorResult } from './tool-call.js';
 
 program
   .name('zypin-mcp')
   .description('Generic MCP server for testing automation and tool integration')
   .version('1.0.0')
-  .option('-b, --browser <browser>', 'Browser to use (chromium, firefox, webkit)', 'chromium')
-  .option('-h, --headless', 'Run browser in headless mode', true)
+  .option('-c, --config <path>', 'Config file (default: zypin-mcp.json in the working directory, if present)')
+  .option('-b, --browser <browser>', 'Browser to use (chromium, firefox, webkit)')
+  .option('--headless', 'Run browser in headless mode (default)')
   .option('--headed', 'Run browser in headed mode (overrides headless)')
-  .option('-w, --width <width>', 'Viewport width', '1280')
-  .option('-l, --height <height>', 'Viewport height', '720')
-  .option('-t, --timeout <timeout>', 'Default timeout in milliseconds', '30000')
+  .option('-w, --width <width>', 'Viewport width (default: 1280)')
+  .option('-l, --height <height>', 'Viewport height (default: 720)')
+  .option('-t, --timeout <timeout>', 'Default timeout in milliseconds (default: 30000)')
+  .option('--no-console-errors', 'Do not append new page errors to tool results')
+  .option('--locale <locale>', 'Browser locale, e.g. de-DE')
+  .option('--timezone <timezone>', 'Browser timezone, e.g. Europe/Berlin')
+  .option('--device <name>', 'Emulate a Playwright device, e.g. "iPhone 13"')
+  .option('--geolocation <position>', 'Emulate a position as latitude,longitude[,accuracy] and grant geolocation')
+  .option('--permissions <permissions>', 'Comma-separated permissions to grant, e.g. notifications,clipboard-read')
+  .option('--color-scheme <scheme>', 'Emulate prefers-color-scheme: light, dark or no-preference')
+  .option('--reduced-motion <value>', 'Emulate prefers-reduced-motion: reduce or no-preference')
+  .option('--offline', 'Start with the network offline')
+  .option('--throttling <preset>', 'Throttle the network (Chromium only): slow-3g, fast-3g, 4g or latency,downloadKbps,uploadKbps')
+  .option('--downloads-dir <path>', 'Directory to save downloads in (default: downloads)')
+  .option('--baselines-dir <path>', 'Directory for compare_screenshot baselines (default: baselines)')
+  .option('--trace', 'Record a Playwright trace of every session from launch until close')
+  .option('--traces-dir <path>', 'Directory to save traces in (default: traces)')
+  .option('--record-video', 'Record a video of every tab')
+  .option('--videos-dir <path>', 'Directory to save videos in (default: videos)')
+  .option('--failure-screenshots', 'Save a screenshot when a tool fails to find or use an element')
+  .option('--failure-screenshots-dir <path>', 'Directory to save failure screenshots in (default: failures)')
+  .option('--test-id-attribute <name>', 'Attribute that testId locators match (default: data-testid)')
+  .option('--tools <groups>', 'Comma-separated tool groups to enable (default: all)')
+  .option('--plugin <path>', 'Load a tool plugin module (repeatable)', (value, previous = []) => [...previous, value])
+  .option('--transport <transport>', 'Transport to serve MCP over: stdio or http (default: stdio)')
+  .option('-p, --port <port>', 'Port for the http transport (default: 3000)')
+  .option('--host <host>', 'Host for the http transport to bind to (default: localhost)')
+  .option('--auth-token <token>', 'Require this bearer token on http requests')
   .parse();
 
-const options = program.opts();
+// Only pass options given on the command line, so they don't mask the config file and environment
+const cliOptions = Object.fromEntries(
+  Object.entries(program.opts()).filter(([key]) => program.getOptionValueSource(key) === 'cli')
+);
+
+/**
+ * Turn a tool result into MCP content: the result as JSON text, followed by any
+ * attachments (e.g. image blocks), which are kept out of the JSON
+ */
+function toContent(result) {
+  const { attachments = [], ...rest } = result;
+  return [
+    {
+      type: 'text',
+      text: JSON.stringify(rest, null, 2)
+    },
+    ...attachments
+  ];
+}
+
+/**
+ * Create an MCP server with its own browser sessions
+ * Each MCP connection gets one, so clients never share browser state
+ */
+function createConnection(config, plugins) {
+  const sessions = new SessionManager(config);
+
+  // Create MCP server with tool capabilities
+  const server = new Server(
+    {
+      name: 'zypin-mcp',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+      },
+    }
+  );
+
+  // Register all available automation tools
+  const tools = createTools(sessions, { toolGroups: config.toolGroups, plugins, config });
+  
+  // Handle tool execution requests from MCP clients
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    try {
+      // Validate the arguments, apply defaults and execute the tool
+      const result = await callTool(tools, request.params.name, request.params.arguments || {});
+      return {
+        content: toContent(result)
+      };
+    } catch (error) {
+      // Return a structured error with a code, for unknown tools as well as failed calls
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(toErrorResult(error), null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  });
+
+  // Handle tool listing requests from MCP clients
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.inputSchema
+      }))
+    };
+  });
+
+  return {
+    server,
+    close: async () => {
+      // Traces and videos are only finished now, so tell the user where they are
+      for (const { name, traces, videos } of await sessions.closeAll()) {
+        for (const file of [...traces, ...videos]) {
+          console.error(`Session "${name}" saved ${file}`);
+        }
+      }
+    }
+  };
+}
 
 /**
  * Main application entry point
@@ -40,104 +157,51 @@ const options = program.opts();
  */
 async function main() {
   try {
-    // Create configuration from command line options
-    const config = {
-      browser: options.browser || 'chromium',
-      headless: options.headed ? false : (options.headless !== false),
-      viewport: {
-        width: parseInt(options.width) || 1280,
-        height: parseInt(options.height) || 720
-      },
-      timeout: parseInt(options.timeout) || 30000
-    };
+    // Merge defaults, config file, environment variables and command line options
+    const { config, file } = loadConfig({ cliOptions });
 
     console.error('Starting Zypin MCP Server...');
+    if (file) {
+      console.error(`Config: ${file}`);
+    }
     console.error(`Browser: ${config.browser}, Headless: ${config.headless}`);
     console.error(`Viewport: ${config.viewport.width}x${config.viewport.height}`);
 
-    // Create browser instance (lazy loading - will launch when first tool is called)
-    const browser = new SimpleBrowser(config);
-
-    // Create MCP server with tool capabilities
-    const server = new Server(
-      {
-        name: 'zypin-mcp',
-        version: '1.0.0',
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
-
-    // Register all available automation tools
-    const tools = createTools(browser);
-    
-    // Handle tool execution requests from MCP clients
-    server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const toolName = request.params.name;
-      const tool = tools.find(t => t.name === toolName);
-      
-      if (!tool) {
-        throw new Error(`Unknown tool: ${toolName}`);
-      }
-      
-      try {
-        // Execute the tool with provided arguments
-        const result = await tool.handler(request.params.arguments || {});
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
-      } catch (error) {
-        // Return error response for failed tool execution
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                error: error.message
-              }, null, 2)
-            }
-          ],
-          isError: true
-        };
-      }
-    });
-
-    // Handle tool listing requests from MCP clients
-    server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: tools.map(tool => ({
-          name: tool.name,
-          description: tool.description,
-          inputSchema: tool.inputSchema
-        }))
-      };
-    });
-
-    // Create STDIO transport and start MCP server
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
-
-    console.error('Zypin MCP Server started successfully');
+    // Plugins that fail to load are reported and skipped
+    const plugins = await loadPlugins(config.plugins);
+    if (plugins.length > 0) {
+      console.error(`Plugins: ${plugins.map(plugin => plugin.name).join(', ')}`);
+    }
+
+    let shutdown;
+    if (config.transport === 'http') {
+      // One MCP server and set of browser sessions per HTTP client session
+      const httpServer = await startHttpServer(() => createConnection(config, plugins), {
+        port: config.port,
+        host: config.host,
+        authToken: config.authToken
+      });
+      const { address, port } = httpServer.address;
+      console.error(`Zypin MCP Server listening on http://${address}:${port}/mcp (SSE: /sse)`);
+      shutdown = () => httpServer.close();
+    } else {
+      // Create STDIO transport and start MCP server (browsers launch when first tool is called)
+      const connection = createConnection(config, plugins);
+      await connection.server.connect(new StdioServerTransport());
+      console.error('Zypin MCP Server started successfully');
+      shutdown = () => connection.close();
+    }
 
     // Handle graceful shutdown on process termination
     process.on('SIGINT', async () => {
       console.error('Shutting down...');
-      await browser.close();
+      await shutdown();
       process.exit(0);
     });
 
     process.on('SIGTERM', async () => {
       console.error('Shutting down...');
-      await browser.close();
+      await shutdown();
       process.exit(0);
     });
 
@@ -0,0 +1,136 @@
+/**
+ * Semantic locators for Zypin MCP
+ * Turns structured locators such as { role: 'button', name: 'Submit' } into Playwright locators
+ * built with getByRole(), getByLabel() and friends
+ *
+ * TODO:
+ * - Support regular expressions for names and text
+ * - Add alt text and title locators
+ */
+
+import { ToolError } from './tool-call.js';
+
+export const DEFAULT_TEST_ID_ATTRIBUTE = 'data-testid';
+
+// Each locator step finds elements by exactly one of these
+export const LOCATOR_KINDS = ['role', 'label', 'text', 'placeholder', 'testId', 'css'];
+
+const ROLE_STATES = ['checked', 'disabled', 'selected', 'expanded', 'pressed'];
+
+const LOCATOR_STEP_PROPERTIES = {
+  role: { type: 'string', description: 'ARIA role, e.g. button, link, textbox, checkbox, heading' },
+  name: { type: 'string', description: 'Accessible name, with role' },
+  label: { type: 'string', description: 'Text of the form control\'s label' },
+  text: { type: 'string', description: 'Text content' },
+  placeholder: { type: 'string', description: 'Placeholder text' },
+  testId: { type: 'string', description: 'Value of the test id attribute (data-testid unless configured otherwise)' },
+  css: { type: 'string', description: 'CSS selector' },
+  exact: { type: 'boolean', description: 'Match name, label, text or placeholder exactly and case-sensitively (default: false, substring ignoring case)' },
+  level: { type: 'integer', minimum: 1, maximum: 6, description: 'Heading level, with role heading' },
+  checked: { type: 'boolean', description: 'Checked state, with role' },
+  disabled: { type: 'boolean', description: 'Disabled state, with role' },
+  selected: { type: 'boolean', description: 'Selected state, with role' },
+  expanded: { type: 'boolean', description: 'Expanded state, with role' },
+  pressed: { type: 'boolean', description: 'Pressed state, with role' },
+  includeHidden: { type: 'boolean', description: 'Also match elements hidden from assistive technology, with role' },
+  hasText: { type: 'string', description: 'Only keep elements containing this text somewhere inside' },
+  nth: { type: 'integer', description: 'Pick the nth match, counting from 0; -1 is the last' }
+};
+
+/**
+ * A locator is one step, or an array of steps where each is searched inside the previous one.
+ */
+export const LOCATOR_SCHEMA = {
+  type: ['object', 'array'],
+  additionalProperties: false,
+  properties: LOCATOR_STEP_PROPERTIES,
+  items: { type: 'object', additionalProperties: false, properties: LOCATOR_STEP_PROPERTIES }
+};
+
+// CSS attribute value in double quotes
+const cssString = (value) => `"${value.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ')}"`;
+
+/**
+ * Check a step and return the kind of element it finds.
+ */
+function stepKind(step) {
+  const kinds = LOCATOR_KINDS.filter(kind => step[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new ToolError('INVALID_ARGUMENT',
+      `A locator needs exactly one of ${LOCATOR_KINDS.join(', ')} (got ${kinds.length === 0 ? 'none' : kinds.join(', ')})`,
+      { argument: 'locator' });
+  }
+  const [kind] = kinds;
+  if (kind === 'role' && !/^[a-z]+$/.test(step.role)) {
+    throw new ToolError('INVALID_ARGUMENT', `"${step.role}" is not an ARIA role; use a lowercase role name such as button or link`, { argument: 'locator' });
+  }
+  const roleOnly = ['name', 'level', 'includeHidden', ...ROLE_STATES].filter(key => step[key] !== undefined);
+  if (kind !== 'role' && roleOnly.length > 0) {
+    throw new ToolError('INVALID_ARGUMENT', `${roleOnly.join(', ')} can only be used with role`, { argument: 'locator' });
+  }
+  return kind;
+}
+
+function stepLocator(parent, step, kind, testIdAttribute) {
+  const exact = step.exact === true;
+  let locator;
+  switch (kind) {
+    case 'role': {
+      const options = Object.fromEntries(['name', 'level', 'includeHidden', ...ROLE_STATES]
+        .filter(key => step[key] !== undefined)
+        .map(key => [key, step[key]]));
+      locator = parent.getByRole(step.role, step.name !== undefined ? { ...options, exact } : options);
+      break;
+    }
+    case 'label':
+      locator = parent.getByLabel(step.label, { exact });
+      break;
+    case 'text':
+      locator = parent.getByText(step.text, { exact });
+      break;
+    case 'placeholder':
+      locator = parent.getByPlaceholder(step.placeholder, { exact });
+      break;
+    case 'testId':
+      // getByTestId() reads one attribute for the whole process, but each session has its own
+      locator = parent.locator(`[${testIdAttribute}=${cssString(step.testId)}]`);
+      break;
+    default:
+      locator = parent.locator(step.css);
+  }
+
+  if (step.hasText !== undefined) {
+    locator = locator.filter({ hasText: step.hasText });
+  }
+  if (step.nth !== undefined) {
+    locator = locator.nth(step.nth);
+  }
+  return locator;
+}
+
+/**
+ * Build a Playwright locator for a semantic locator, inside root (a frame or another locator).
+ * The whole chain is checked before anything is built.
+ */
+export function toLocator(root, locator, { testIdAttribute = DEFAULT_TEST_ID_ATTRIBUTE } = {}) {
+  const steps = Array.isArray(locator) ? locator : [locator];
+  if (steps.length === 0) {
+    throw new ToolError('INVALID_ARGUMENT', 'A locator chain needs at least one step', { argument: 'locator' });
+  }
+  const kinds = steps.map(stepKind);
+  return steps.reduce((parent, step, index) => stepLocator(parent, step, kinds[index], testIdAttribute), root);
+}
+
+/**
+ * Describe a locator for messages, e.g. `role=button[name="Submit"] >> nth=0`.
+ */
+export function describeLocator(locator) {
+  const steps = Array.isArray(locator) ? locator : [locator];
+  return steps.map(step => {
+    const kind = LOCATOR_KINDS.find(key => step[key] !== undefined) || 'css';
+    const options = Object.entries(step)
+      .filter(([key]) => key !== kind && key !== 'nth')
+      .map(([key, value]) => `[${key}=${JSON.stringify(value)}]`);
+    return `${kind}=${JSON.stringify(step[kind])}${options.join('')}${step.nth !== undefined ? ` >> nth=${step.nth}` : ''}`;
+  }).join(' >> ');
+}
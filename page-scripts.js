@@ -0,0 +1,677 @@
+/**
+ * In-page scripts for Zypin MCP
+ * Functions in this file are serialized and run inside the page with page.evaluate,
+ * so they must not reference anything outside their own body
+ *
+ * TODO:
+ * - Follow shadow roots when building the snapshot and the audit
+ * - Compute names for more ARIA roles from their content
+ */
+
+export const REF_ATTRIBUTE = 'data-zypin-ref';
+
+// Rule ids checked by auditScript
+export const AUDIT_RULES = [
+  'image-alt', 'label', 'button-name', 'link-name', 'color-contrast', 'heading-order', 'duplicate-id',
+  'aria-valid-role', 'aria-required-attr', 'aria-valid-attr', 'aria-valid-reference', 'aria-hidden-focus'
+];
+
+/**
+ * Build an accessibility tree of the document.
+ * Every node with a role gets a ref stored on the element, so the same element
+ * keeps its ref across snapshots and interaction tools can target it later.
+ */
+export function snapshotScript({ refAttribute, refPrefix = '' }) {
+  const state = window.__zypinSnapshot || (window.__zypinSnapshot = { nextRef: 1 });
+  const INTERACTIVE_ROLES = new Set([
+    'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'listbox',
+    'option', 'slider', 'spinbutton', 'switch', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio'
+  ]);
+  const NAME_FROM_CONTENT = new Set([
+    'button', 'link', 'heading', 'option', 'tab', 'menuitem', 'cell', 'columnheader', 'listitem', 'paragraph'
+  ]);
+  const TAG_ROLES = {
+    button: 'button', nav: 'navigation', main: 'main', header: 'banner', footer: 'contentinfo',
+    aside: 'complementary', form: 'form', ul: 'list', ol: 'list', li: 'listitem', table: 'table',
+    tr: 'row', td: 'cell', th: 'columnheader', dialog: 'dialog', textarea: 'textbox', option: 'option',
+    fieldset: 'group', details: 'group', summary: 'button', progress: 'progressbar', p: 'paragraph'
+  };
+  const INPUT_ROLES = {
+    button: 'button', submit: 'button', reset: 'button', image: 'button', checkbox: 'checkbox',
+    radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox'
+  };
+
+  const clean = (text, max = 100) => {
+    const collapsed = (text || '').replace(/\s+/g, ' ').trim();
+    return collapsed.length > max ? `${collapsed.slice(0, max)}…` : collapsed;
+  };
+
+  const isHidden = (el) => {
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    const style = getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  };
+
+  const getRole = (el) => {
+    const explicit = el.getAttribute('role');
+    if (explicit) {
+      return explicit.split(' ')[0];
+    }
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'a') {
+      return el.hasAttribute('href') ? 'link' : '';
+    }
+    if (/^h[1-6]$/.test(tag)) {
+      return 'heading';
+    }
+    if (tag === 'img') {
+      return el.getAttribute('alt') === '' ? '' : 'img';
+    }
+    if (tag === 'input') {
+      const type = (el.getAttribute('type') || 'text').toLowerCase();
+      return type === 'hidden' ? '' : (INPUT_ROLES[type] || 'textbox');
+    }
+    if (tag === 'select') {
+      return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+    }
+    if (tag === 'section' && (el.getAttribute('aria-label') || el.getAttribute('aria-labelledby'))) {
+      return 'region';
+    }
+    return TAG_ROLES[tag] || '';
+  };
+
+  const getName = (el, role) => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => document.getElementById(id)?.textContent || '')
+        .join(' ');
+      if (clean(text)) {
+        return clean(text);
+      }
+    }
+    if (el.getAttribute('aria-label')) {
+      return clean(el.getAttribute('aria-label'));
+    }
+    if (el.labels && el.labels.length > 0) {
+      return clean(Array.from(el.labels).map(label => label.textContent).join(' '));
+    }
+    if (el.tagName === 'IMG' || (el.tagName === 'INPUT' && el.type === 'image')) {
+      return clean(el.getAttribute('alt') || el.getAttribute('title'));
+    }
+    if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) {
+      return clean(el.value);
+    }
+    if (NAME_FROM_CONTENT.has(role) || role === 'heading') {
+      return clean(el.textContent);
+    }
+    return clean(el.getAttribute('placeholder') || el.getAttribute('title'));
+  };
+
+  const getRef = (el) => {
+    let ref = el.getAttribute(refAttribute);
+    if (!ref) {
+      ref = `${refPrefix}e${state.nextRef++}`;
+      el.setAttribute(refAttribute, ref);
+    }
+    return ref;
+  };
+
+  const describe = (el, role) => {
+    const node = { ref: getRef(el), role, name: getName(el, role) };
+    if (role === 'heading') {
+      node.level = Number(el.getAttribute('aria-level')) || Number(el.tagName[1]) || 2;
+    }
+    if ('checked' in el && ['checkbox', 'radio', 'switch'].includes(role)) {
+      node.checked = el.checked;
+    } else if (el.hasAttribute('aria-checked')) {
+      node.checked = el.getAttribute('aria-checked') === 'true';
+    }
+    if (el.disabled || el.getAttribute('aria-disabled') === 'true') {
+      node.disabled = true;
+    }
+    if (el.hasAttribute('aria-expanded')) {
+      node.expanded = el.getAttribute('aria-expanded') === 'true';
+    }
+    if (el.selected || el.getAttribute('aria-selected') === 'true') {
+      node.selected = true;
+    }
+    if (el.hasAttribute('aria-pressed')) {
+      node.pressed = el.getAttribute('aria-pressed') === 'true';
+    }
+    if (['textbox', 'searchbox', 'combobox', 'spinbutton', 'slider'].includes(role) && 'value' in el && el.value) {
+      node.value = clean(el.value);
+    }
+    if (el === document.activeElement) {
+      node.focused = true;
+    }
+    return node;
+  };
+
+  const elements = [];
+
+  const walk = (el) => {
+    if (isHidden(el)) {
+      return [];
+    }
+
+    let role = getRole(el);
+    if (!role && (el.hasAttribute('onclick') || (el.hasAttribute('tabindex') && el.tabIndex >= 0))) {
+      role = 'generic';
+    }
+    const node = role ? describe(el, role) : null;
+
+    const children = [];
+    // Content-named nodes already carry their text as name
+    if (!node || !NAME_FROM_CONTENT.has(role)) {
+      for (const child of el.childNodes) {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          children.push(...walk(child));
+        } else if (child.nodeType === Node.TEXT_NODE && clean(child.textContent)) {
+          children.push({ role: 'text', name: clean(child.textContent) });
+        }
+      }
+    }
+
+    if (!node) {
+      return children;
+    }
+    if (INTERACTIVE_ROLES.has(role) || role === 'generic') {
+      elements.push({ ...node, tag: el.tagName.toLowerCase(), id: el.id || '' });
+    }
+    if (children.length > 0) {
+      node.children = children;
+    }
+    return [node];
+  };
+
+  return {
+    tree: document.body ? walk(document.body) : [],
+    elements
+  };
+}
+
+/**
+ * Compute a selector for an element that still works after refs are gone,
+ * preferring ids, test ids and names over a structural path.
+ * testIdAttribute is the project's own test id attribute, tried before the common ones.
+ */
+export function stableSelectorScript(element, testIdAttribute) {
+  const TEST_ID_ATTRIBUTES = [testIdAttribute, 'data-testid', 'data-test-id', 'data-test', 'data-qa'].filter(Boolean);
+  const isUnique = (selector) => document.querySelectorAll(selector).length === 1;
+
+  if (element.id && isUnique(`#${CSS.escape(element.id)}`)) {
+    return `#${CSS.escape(element.id)}`;
+  }
+  for (const attribute of TEST_ID_ATTRIBUTES) {
+    const value = element.getAttribute(attribute);
+    if (value && isUnique(`[${attribute}="${CSS.escape(value)}"]`)) {
+      return `[${attribute}="${CSS.escape(value)}"]`;
+    }
+  }
+  const tag = element.tagName.toLowerCase();
+  const name = element.getAttribute('name');
+  if (name && isUnique(`${tag}[name="${CSS.escape(name)}"]`)) {
+    return `${tag}[name="${CSS.escape(name)}"]`;
+  }
+
+  // Walk up to the nearest ancestor with an id, recording nth-of-type steps
+  const parts = [];
+  let current = element;
+  while (current && current !== document.documentElement) {
+    if (current !== element && current.id) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+    const siblings = Array.from(current.parentElement?.children || [])
+      .filter(sibling => sibling.tagName === current.tagName);
+    const step = current.tagName.toLowerCase();
+    parts.unshift(siblings.length > 1 ? `${step}:nth-of-type(${siblings.indexOf(current) + 1})` : step);
+    current = current.parentElement;
+  }
+  return parts.join(' > ');
+}
+
+/**
+ * Check the document, or the subtree under the root element, for common accessibility problems.
+ * Offending elements get refs like snapshotScript gives them, so the results can be
+ * acted on with the interaction tools.
+ */
+export function auditScript({ refAttribute, refPrefix = '', root: rootElement, rules }) {
+  const state = window.__zypinSnapshot || (window.__zypinSnapshot = { nextRef: 1 });
+  const VALID_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+    'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+    'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+    'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'mark',
+    'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter',
+    'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup',
+    'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+    'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist',
+    'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+  ]);
+  const VALID_ATTRIBUTES = new Set([
+    'activedescendant', 'atomic', 'autocomplete', 'braillelabel', 'brailleroledescription', 'busy', 'checked',
+    'colcount', 'colindex', 'colindextext', 'colspan', 'controls', 'current', 'describedby', 'description',
+    'details', 'disabled', 'dropeffect', 'errormessage', 'expanded', 'flowto', 'grabbed', 'haspopup', 'hidden',
+    'invalid', 'keyshortcuts', 'label', 'labelledby', 'level', 'live', 'modal', 'multiline', 'multiselectable',
+    'orientation', 'owns', 'placeholder', 'posinset', 'pressed', 'readonly', 'relevant', 'required',
+    'roledescription', 'rowcount', 'rowindex', 'rowindextext', 'rowspan', 'selected', 'setsize', 'sort',
+    'valuemax', 'valuemin', 'valuenow', 'valuetext'
+  ]);
+  // Attributes an element with an explicit role must carry when it has no native equivalent
+  const REQUIRED_ATTRIBUTES = {
+    checkbox: ['aria-checked'], menuitemcheckbox: ['aria-checked'], menuitemradio: ['aria-checked'],
+    radio: ['aria-checked'], switch: ['aria-checked'], slider: ['aria-valuenow'], scrollbar: ['aria-valuenow', 'aria-controls'],
+    heading: ['aria-level'], combobox: ['aria-expanded'], option: ['aria-selected']
+  };
+  const NATIVE_FOR_ROLE = {
+    checkbox: 'input[type=checkbox]', radio: 'input[type=radio]', slider: 'input[type=range]',
+    heading: 'h1, h2, h3, h4, h5, h6', combobox: 'select', option: 'option'
+  };
+  const REFERENCE_ATTRIBUTES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage'];
+  const FOCUSABLE = 'a[href], button, input:not([type=hidden]), select, textarea, iframe, [tabindex], [contenteditable=""], [contenteditable=true]';
+
+  const root = rootElement || document.body;
+
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+  const getRef = (el) => {
+    let ref = el.getAttribute(refAttribute);
+    if (!ref) {
+      ref = `${refPrefix}e${state.nextRef++}`;
+      el.setAttribute(refAttribute, ref);
+    }
+    return ref;
+  };
+
+  const isVisible = (el) => {
+    if (el.closest('[aria-hidden="true"]')) {
+      return false;
+    }
+    if (el.checkVisibility) {
+      return el.checkVisibility({ checkVisibilityCSS: true, visibilityProperty: true });
+    }
+    return Boolean(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  };
+
+  const accessibleName = (el) => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ');
+      if (clean(text)) {
+        return clean(text);
+      }
+    }
+    if (clean(el.getAttribute('aria-label'))) {
+      return clean(el.getAttribute('aria-label'));
+    }
+    if (el.labels && el.labels.length > 0) {
+      const text = Array.from(el.labels).map(label => label.textContent).join(' ');
+      if (clean(text)) {
+        return clean(text);
+      }
+    }
+    if (el.tagName === 'IMG' || (el.tagName === 'INPUT' && el.type === 'image')) {
+      return clean(el.getAttribute('alt')) || clean(el.getAttribute('title'));
+    }
+    if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) {
+      // Submit and reset buttons fall back to a default label
+      return clean(el.value) || (el.type === 'button' ? '' : el.type);
+    }
+    if (['BUTTON', 'A'].includes(el.tagName) || ['button', 'link'].includes(el.getAttribute('role'))) {
+      const alts = Array.from(el.querySelectorAll('img[alt], [aria-label]'))
+        .map(child => child.getAttribute('alt') || child.getAttribute('aria-label'));
+      return clean(`${el.textContent} ${alts.join(' ')}`) || clean(el.getAttribute('title'));
+    }
+    return clean(el.getAttribute('title'));
+  };
+
+  const snippet = (el) => {
+    const html = el.outerHTML.replace(/\s+/g, ' ');
+    const open = html.slice(0, html.indexOf('>') + 1) || html;
+    return open.length > 150 ? `${open.slice(0, 150)}…` : open;
+  };
+
+  const violations = [];
+  const enabled = (ruleId) => !rules || rules.includes(ruleId);
+  const report = (ruleId, severity, el, message, hint) => {
+    if (!enabled(ruleId)) {
+      return;
+    }
+    violations.push({ ruleId, severity, ref: getRef(el), element: snippet(el), message, hint });
+  };
+
+  const inScope = (selector) => [root, ...root.querySelectorAll(selector)].filter(el => el.matches(selector));
+
+  if (enabled('image-alt')) {
+    for (const el of inScope('img, input[type=image], [role=img]')) {
+      const role = el.getAttribute('role');
+      if (!isVisible(el) || role === 'presentation' || role === 'none') {
+        continue;
+      }
+      if (el.tagName === 'IMG' && !el.hasAttribute('alt') && !accessibleName(el)) {
+        report('image-alt', 'critical', el, 'Image has no alt attribute',
+          'Add alt text describing the image, or alt="" if it is decorative');
+      } else if (el.tagName !== 'IMG' && !accessibleName(el)) {
+        report('image-alt', 'critical', el, 'Image has no text alternative',
+          el.tagName === 'INPUT' ? 'Add alt text saying what the image button does' : 'Add aria-label or aria-labelledby describing the image');
+      }
+    }
+  }
+
+  if (enabled('label')) {
+    for (const el of inScope('input, select, textarea')) {
+      if (['hidden', 'button', 'submit', 'reset', 'image'].includes(el.type) || !isVisible(el)) {
+        continue;
+      }
+      if (!accessibleName(el)) {
+        report('label', 'critical', el, 'Form control has no label',
+          el.getAttribute('placeholder')
+            ? 'A placeholder is not a label: add a <label for>, wrap the control in a <label>, or use aria-label'
+            : 'Add a <label for>, wrap the control in a <label>, or use aria-label');
+      }
+    }
+  }
+
+  if (enabled('button-name')) {
+    for (const el of inScope('button, input[type=button], input[type=submit], input[type=reset], [role=button]')) {
+      if (isVisible(el) && !accessibleName(el)) {
+        report('button-name', 'critical', el, 'Button has no accessible name',
+          'Give the button visible text, or aria-label when it only shows an icon');
+      }
+    }
+  }
+
+  if (enabled('link-name')) {
+    for (const el of inScope('a[href], [role=link]')) {
+      if (isVisible(el) && !accessibleName(el)) {
+        report('link-name', 'serious', el, 'Link has no accessible name',
+          'Give the link text saying where it goes, or aria-label when it only shows an icon');
+      }
+    }
+  }
+
+  if (enabled('color-contrast')) {
+    const parse = (color) => {
+      const match = color.match(/rgba?\(([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+))?\)/);
+      return match ? { r: +match[1], g: +match[2], b: +match[3], a: match[4] === undefined ? 1 : +match[4] } : null;
+    };
+    const blend = (top, bottom) => ({
+      r: top.r * top.a + bottom.r * (1 - top.a),
+      g: top.g * top.a + bottom.g * (1 - top.a),
+      b: top.b * top.a + bottom.b * (1 - top.a),
+      a: 1
+    });
+    const luminance = ({ r, g, b }) => {
+      const [lr, lg, lb] = [r, g, b].map(value => {
+        const channel = value / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+      });
+      return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+    };
+    // Backgrounds behind images or gradients cannot be judged from styles alone
+    const background = (el) => {
+      const layers = [];
+      for (let current = el; current; current = current.parentElement) {
+        const style = getComputedStyle(current);
+        if (style.backgroundImage !== 'none') {
+          return null;
+        }
+        const color = parse(style.backgroundColor);
+        if (color && color.a > 0) {
+          layers.push(color);
+          if (color.a === 1) {
+            break;
+          }
+        }
+      }
+      return layers.reverse().reduce((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+    };
+
+    for (const el of inScope('*')) {
+      const hasText = Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && clean(node.textContent));
+      if (!hasText || !isVisible(el) || el.disabled || el.closest('[aria-disabled="true"]')) {
+        continue;
+      }
+      const style = getComputedStyle(el);
+      const foreground = parse(style.color);
+      const behind = background(el);
+      if (!foreground || !behind) {
+        continue;
+      }
+      const text = blend(foreground, behind);
+      const [light, dark] = [luminance(text), luminance(behind)].sort((a, b) => b - a);
+      const ratio = (light + 0.05) / (dark + 0.05);
+      const size = parseFloat(style.fontSize);
+      const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+      const required = large ? 3 : 4.5;
+      if (ratio < required) {
+        report('color-contrast', 'serious', el, `Text contrast is ${ratio.toFixed(2)}:1, below ${required}:1`,
+          `Darken the text or lighten the background (${style.color} on rgb(${Math.round(behind.r)}, ${Math.round(behind.g)}, ${Math.round(behind.b)}))`);
+      }
+    }
+  }
+
+  if (enabled('heading-order')) {
+    let previous = null;
+    for (const el of inScope('h1, h2, h3, h4, h5, h6, [role=heading]')) {
+      if (!isVisible(el)) {
+        continue;
+      }
+      const level = Number(el.getAttribute('aria-level')) || Number(el.tagName[1]) || 2;
+      if (previous !== null && level > previous + 1) {
+        report('heading-order', 'moderate', el, `Heading level ${level} follows level ${previous}`,
+          `Use a level ${previous + 1} heading here, or style a lower level to look the way you want`);
+      }
+      previous = level;
+    }
+  }
+
+  if (enabled('duplicate-id')) {
+    const seen = new Map();
+    for (const el of inScope('[id]')) {
+      if (!el.id) {
+        continue;
+      }
+      const matches = document.querySelectorAll(`[id="${CSS.escape(el.id)}"]`);
+      if (matches.length > 1 && !seen.has(el.id)) {
+        seen.set(el.id, true);
+        const referenced = document.querySelector(
+          `label[for="${CSS.escape(el.id)}"], ${REFERENCE_ATTRIBUTES.map(name => `[${name}~="${CSS.escape(el.id)}"]`).join(', ')}`
+        );
+        report('duplicate-id', referenced ? 'serious' : 'minor', el, `id "${el.id}" is used by ${matches.length} elements`,
+          referenced ? 'Labels and ARIA references only reach the first element with an id: make every id unique' : 'Make every id unique');
+      }
+    }
+  }
+
+  if (['aria-valid-role', 'aria-required-attr', 'aria-valid-attr', 'aria-valid-reference', 'aria-hidden-focus'].some(enabled)) {
+    for (const el of inScope('*')) {
+      const role = el.getAttribute('role');
+      if (role !== null) {
+        const invalid = role.split(/\s+/).filter(Boolean).filter(name => !VALID_ROLES.has(name));
+        if (invalid.length > 0 || !clean(role)) {
+          report('aria-valid-role', 'critical', el, `Invalid role "${role}"`, 'Use a role defined by WAI-ARIA, or a native element instead');
+        } else {
+          const first = clean(role).split(' ')[0];
+          const native = NATIVE_FOR_ROLE[first] && el.matches(NATIVE_FOR_ROLE[first]);
+          const missing = native ? [] : (REQUIRED_ATTRIBUTES[first] || []).filter(name => !el.hasAttribute(name));
+          if (missing.length > 0) {
+            report('aria-required-attr', 'critical', el, `role="${first}" requires ${missing.join(', ')}`,
+              `Add ${missing.join(' and ')} and keep it updated, or use a native element`);
+          }
+        }
+      }
+
+      for (const attribute of el.getAttributeNames()) {
+        if (!attribute.startsWith('aria-')) {
+          continue;
+        }
+        if (!VALID_ATTRIBUTES.has(attribute.slice(5))) {
+          report('aria-valid-attr', 'critical', el, `Unknown attribute ${attribute}`, 'Check the spelling against the WAI-ARIA attribute list');
+        } else if (REFERENCE_ATTRIBUTES.includes(attribute)) {
+          const missing = el.getAttribute(attribute).split(/\s+/).filter(id => id && !document.getElementById(id));
+          if (missing.length > 0) {
+            report('aria-valid-reference', 'serious', el, `${attribute} points to missing id(s): ${missing.join(', ')}`,
+              'Reference ids of elements that exist on the page');
+          }
+        }
+      }
+
+      if (el.getAttribute('aria-hidden') === 'true') {
+        const focusable = [el, ...el.querySelectorAll(FOCUSABLE)].find(child =>
+          child.matches(FOCUSABLE) && !child.disabled && child.tabIndex >= 0);
+        if (focusable) {
+          report('aria-hidden-focus', 'serious', el, 'aria-hidden element contains a focusable element',
+            'Remove aria-hidden, or take the content out of the tab order with tabindex="-1" or inert');
+        }
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Describe elements that look like what a failed selector meant, for failure diagnostics.
+ * Run with locator.evaluateAll: elements are the pool to pick from. With terms, they are
+ * ranked by how well their id, name, text and other attributes match the terms; without,
+ * the first ones are described in document order. Picked elements get refs like snapshotScript.
+ */
+export function candidatesScript(elements, { refAttribute, refPrefix = '', terms = [], phrases = [], limit = 5, minScore = 0.4 }) {
+  const state = window.__zypinSnapshot || (window.__zypinSnapshot = { nextRef: 1 });
+  const clean = (text, max = 80) => {
+    const collapsed = (text || '').replace(/\s+/g, ' ').trim();
+    return collapsed.length > max ? `${collapsed.slice(0, max)}…` : collapsed;
+  };
+  // "submitOrder", "submit-order" and "submit_order" all become ["submit", "order"]
+  const tokenize = (text) => (text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1);
+
+  const bigrams = (text) => {
+    const pairs = [];
+    for (let i = 0; i < text.length - 1; i++) {
+      pairs.push(text.slice(i, i + 2));
+    }
+    return pairs;
+  };
+  // Dice coefficient of character pairs, so "sumbit" still resembles "submit"
+  const similarity = (a, b) => {
+    if (a === b) {
+      return 1;
+    }
+    if (a.length > 2 && b.length > 2 && (a.includes(b) || b.includes(a))) {
+      return 0.8;
+    }
+    const left = bigrams(a);
+    const right = bigrams(b);
+    if (left.length === 0 || right.length === 0) {
+      return 0;
+    }
+    const remaining = [...right];
+    let shared = 0;
+    for (const pair of left) {
+      const index = remaining.indexOf(pair);
+      if (index !== -1) {
+        shared++;
+        remaining.splice(index, 1);
+      }
+    }
+    return (2 * shared) / (left.length + right.length);
+  };
+
+  const getRole = (el) => {
+    const explicit = el.getAttribute('role');
+    if (explicit) {
+      return explicit.split(' ')[0];
+    }
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'input') {
+      const type = (el.getAttribute('type') || 'text').toLowerCase();
+      return { button: 'button', submit: 'button', reset: 'button', checkbox: 'checkbox', radio: 'radio' }[type] || 'textbox';
+    }
+    return { a: 'link', button: 'button', select: 'combobox', textarea: 'textbox' }[tag] || '';
+  };
+
+  const isVisible = (el) => {
+    if (el.checkVisibility) {
+      return el.checkVisibility({ checkVisibilityCSS: true, visibilityProperty: true });
+    }
+    return Boolean(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  };
+
+  const describe = (el) => {
+    let ref = el.getAttribute(refAttribute);
+    if (!ref) {
+      ref = `${refPrefix}e${state.nextRef++}`;
+      el.setAttribute(refAttribute, ref);
+    }
+    const candidate = { ref, tag: el.tagName.toLowerCase() };
+    const role = getRole(el);
+    const label = el.getAttribute('aria-label') || el.getAttribute('placeholder') || el.getAttribute('title');
+    const text = clean(el.innerText || el.value || label);
+    if (role) {
+      candidate.role = role;
+    }
+    if (text) {
+      candidate.text = text;
+    }
+    if (el.id) {
+      candidate.id = el.id;
+    }
+    if (el.getAttribute('name')) {
+      candidate.name = el.getAttribute('name');
+    }
+    candidate.visible = isVisible(el);
+    return candidate;
+  };
+
+  if (terms.length === 0 && phrases.length === 0) {
+    return elements.slice(0, limit).map(describe);
+  }
+
+  const scored = [];
+  for (const el of elements) {
+    if (!isVisible(el)) {
+      continue;
+    }
+    const text = clean(el.innerText || el.value, 200).toLowerCase();
+    // Skip large containers, whose text would match anything inside them
+    if (text.length > 150 && !el.id) {
+      continue;
+    }
+    const attributes = ['id', 'name', 'class', 'aria-label', 'placeholder', 'title', 'alt', 'type', 'for', 'href',
+      'data-testid', 'data-test-id', 'data-test', 'data-qa'];
+    const tokens = new Set([
+      ...attributes.flatMap(attribute => tokenize(el.getAttribute(attribute))),
+      ...tokenize(text),
+      ...tokenize(getRole(el)),
+      el.tagName.toLowerCase()
+    ]);
+    if (tokens.size === 0) {
+      continue;
+    }
+
+    const termScore = terms.length === 0 ? 0 : terms
+      .map(term => Math.max(...Array.from(tokens, token => similarity(term, token))))
+      .reduce((sum, score) => sum + score, 0) / terms.length;
+    const phraseScore = Math.max(0, ...phrases.map(phrase => {
+      const wanted = phrase.toLowerCase();
+      return text.includes(wanted) ? 1 : similarity(wanted, text);
+    }));
+    const score = Math.max(termScore, phraseScore);
+    if (score >= minScore) {
+      scored.push({ el, score });
+    }
+  }
+
+  // Prefer the innermost element when an element and its container score the same
+  scored.sort((a, b) => b.score - a.score || (a.el.contains(b.el) ? 1 : b.el.contains(a.el) ? -1 : 0));
+  return scored.slice(0, limit).map(({ el, score }) => ({ ...describe(el), score: Math.round(score * 100) / 100 }));
+}
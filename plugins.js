@@ -0,0 +1,119 @@
+/**
+ * Plugin loading for Zypin MCP
+ * Plugins are ES modules whose default export receives the SimpleBrowser and a helper API
+ * and returns an array of tool definitions
+ *
+ * TODO:
+ * - Allow plugins to declare their own tool groups
+ * - Reload plugins without restarting the server
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { withSession } from './tools-playwright.js';
+import { ToolError } from './tool-call.js';
+
+function toImportSpecifier(plugin, cwd) {
+  // Relative and absolute paths are files; anything else is a package name
+  if (plugin.startsWith('.') || path.isAbsolute(plugin)) {
+    return pathToFileURL(path.resolve(cwd, plugin)).href;
+  }
+  return plugin;
+}
+
+/**
+ * Import plugin modules.
+ * A plugin that fails to load is reported and skipped so the server still starts.
+ */
+export async function loadPlugins(plugins = [], { cwd = process.cwd() } = {}) {
+  const loaded = [];
+  for (const plugin of plugins) {
+    try {
+      const module = await import(toImportSpecifier(plugin, cwd));
+      const factory = module.default || module.createTools;
+      if (typeof factory !== 'function') {
+        throw new Error('Plugin must export a default function that returns tool definitions');
+      }
+      loaded.push({ name: plugin, factory });
+    } catch (error) {
+      console.error(`Failed to load plugin ${plugin}: ${error.message}`);
+    }
+  }
+  return loaded;
+}
+
+function checkTool(tool) {
+  if (!tool || typeof tool.name !== 'string' || !tool.name) {
+    return 'tool is missing a name';
+  }
+  if (typeof tool.handler !== 'function') {
+    return `tool "${tool.name}" is missing a handler`;
+  }
+  if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+    return `tool "${tool.name}" needs an object inputSchema`;
+  }
+  return null;
+}
+
+/**
+ * Wrap a plugin tool's handler so a result that is not an object fails with the plugin's name,
+ * instead of breaking the code that adds to the result.
+ */
+function checkResults(definition, pluginName) {
+  return async (args, browser) => {
+    const result = await definition.handler(args, browser);
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+      const got = Array.isArray(result) ? 'an array' : result === null ? 'null' : typeof result;
+      throw new ToolError('TOOL_FAILED', `Tool "${definition.name}" from plugin ${pluginName} returned ${got} instead of a result object`);
+    }
+    return result;
+  };
+}
+
+/**
+ * Create the tools of loaded plugins for one set of browser sessions.
+ * Factories must return their tools synchronously; do async setup at module load instead.
+ * Tools with invalid definitions or names already taken by another tool are skipped.
+ */
+export function createPluginTools(plugins, sessions, { config = {}, existingTools = [] } = {}) {
+  const names = new Set(existingTools.map(tool => tool.name));
+  const tools = [];
+
+  for (const plugin of plugins) {
+    const api = {
+      config,
+      sessions,
+      getBrowser: (session) => sessions.get(session),
+      log: (message) => console.error(`[${plugin.name}] ${message}`)
+    };
+
+    let definitions;
+    try {
+      definitions = plugin.factory(sessions.get(), api);
+      if (!Array.isArray(definitions)) {
+        throw new Error('Plugin must return an array of tool definitions');
+      }
+    } catch (error) {
+      console.error(`Plugin ${plugin.name} failed to create tools: ${error.message}`);
+      continue;
+    }
+
+    for (const definition of definitions) {
+      const problem = checkTool(definition);
+      if (problem) {
+        console.error(`Skipping tool from plugin ${plugin.name}: ${problem}`);
+        continue;
+      }
+      if (names.has(definition.name)) {
+        console.error(`Skipping tool "${definition.name}" from plugin ${plugin.name}: a tool with that name already exists`);
+        continue;
+      }
+
+      names.add(definition.name);
+      // Plugin tools get the session argument like the built-in browser tools
+      tools.push(withSession(sessions, { ...definition, group: 'plugins', handler: checkResults(definition, plugin.name) }));
+    }
+  }
+
+  return tools;
+}
@@ -0,0 +1,442 @@
+/**
+ * Action recorder for Zypin MCP
+ * Logs successful browser tool calls and turns them into runnable tests for Zypin templates
+ *
+ * TODO:
+ * - Support more templates (playwright, puppeteer)
+ * - Merge consecutive type calls on the same field
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const ACTION_LIMIT = 1000;
+// Milliseconds generated waits allow when the recorded action has no timeout, as the expect_* tools do
+const DEFAULT_WAIT = 5000;
+
+// Tools that only read state are not worth replaying
+const READ_ONLY_TOOLS = new Set([
+  'snapshot', 'screenshot', 'compare_screenshot', 'audit_accessibility', 'get_text', 'get_url',
+  'get_title', 'tabs_list', 'route_list', 'network_requests', 'network_export_har', 'console_messages',
+  'cookies_get', 'storage_get', 'storage_state_save', 'downloads_list',
+  'assertion_results', 'trace_start', 'trace_stop', 'recorded_actions', 'generate_test', 'close'
+]);
+
+export class ActionRecorder {
+  constructor() {
+    this.actions = [];
+  }
+
+  record(tool, args) {
+    if (READ_ONLY_TOOLS.has(tool)) {
+      return;
+    }
+    this.actions.push({ tool, args, timestamp: Date.now() });
+    if (this.actions.length > ACTION_LIMIT) {
+      this.actions.shift();
+    }
+  }
+
+  list() {
+    return this.actions;
+  }
+
+  clear() {
+    this.actions = [];
+  }
+}
+
+const js = (value) => JSON.stringify(value);
+
+// Playwright key names whose selenium-webdriver Key constant is not just the name in upper snake case
+const SELENIUM_KEYS = { Backspace: 'BACK_SPACE', ' ': 'SPACE', ControlOrMeta: 'CONTROL' };
+
+/**
+ * Translate a Playwright key or chord ("Control+Shift+K") into selenium-webdriver Key.chord arguments.
+ */
+function toSeleniumKeys(key) {
+  return key.split(/\+(?=.)/).map(name => {
+    if (name.length === 1 && !SELENIUM_KEYS[name]) {
+      return js(name);
+    }
+    return `Key.${SELENIUM_KEYS[name] || name.replace(/([a-z])([A-Z0-9])/g, '$1_$2').toUpperCase()}`;
+  }).join(', ');
+}
+const gherkin = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+function toIdentifier(name) {
+  return name.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'recorded-test';
+}
+
+/**
+ * Translate one recorded action into selenium-webdriver statements.
+ * Returns null for actions that have no WebDriver equivalent.
+ */
+function toWebDriver({ tool, args }) {
+  const find = (selector) => `driver.findElement(By.css(${js(selector)}))`;
+  // Locators that could not be recorded as selectors have no CSS equivalent
+  if (args.locator) {
+    return null;
+  }
+
+  switch (tool) {
+    case 'navigate':
+      return [`await driver.get(${js(args.url)});`];
+    case 'go_back':
+      return ['await driver.navigate().back();'];
+    case 'go_forward':
+      return ['await driver.navigate().forward();'];
+    case 'reload':
+      return ['await driver.navigate().refresh();'];
+    case 'click':
+      return [`await ${find(args.selector)}.click();`];
+    case 'type':
+      return [
+        `await ${find(args.selector)}.clear();`,
+        `await ${find(args.selector)}.sendKeys(${js(args.text)});`
+      ];
+    case 'select':
+      return [`await new Select(await ${find(args.selector)}).selectByValue(${js(args.value)});`];
+    case 'fill_form':
+      return Object.entries(args.fields).flatMap(([selector, value]) => [
+        `await ${find(selector)}.clear();`,
+        `await ${find(selector)}.sendKeys(${js(value)});`
+      ]);
+    case 'double_click':
+      return [`await driver.actions().doubleClick(await ${find(args.selector)}).perform();`];
+    case 'right_click':
+      return [`await driver.actions().contextClick(await ${find(args.selector)}).perform();`];
+    case 'hover':
+      return [`await driver.actions().move({ origin: await ${find(args.selector)} }).perform();`];
+    case 'drag_and_drop':
+      return [`await driver.actions().dragAndDrop(await ${find(args.sourceSelector)}, await ${find(args.targetSelector)}).perform();`];
+    case 'press_key': {
+      const element = args.selector ? find(args.selector) : 'driver.switchTo().activeElement()';
+      return [`await ${element}.sendKeys(Key.chord(${toSeleniumKeys(args.key)}));`];
+    }
+    case 'type_sequentially':
+      // sendKeys already types one key at a time
+      return [
+        ...(args.clear ? [`await ${find(args.selector)}.clear();`] : []),
+        `await ${find(args.selector)}.sendKeys(${js(args.text)});`
+      ];
+    case 'scroll':
+      if (!args.selector) {
+        return [`await driver.executeScript('window.scrollBy(arguments[0], arguments[1]);', ${args.x || 0}, ${args.y || 0});`];
+      }
+      if (!args.x && !args.y) {
+        return [`await driver.executeScript('arguments[0].scrollIntoView({ block: "center" });', await ${find(args.selector)});`];
+      }
+      return [`await driver.executeScript('arguments[0].scrollBy(arguments[1], arguments[2]);', await ${find(args.selector)}, ${args.x || 0}, ${args.y || 0});`];
+    case 'wait_for':
+      return [`await driver.wait(until.elementLocated(By.css(${js(args.selector)})), ${args.timeout || DEFAULT_WAIT});`];
+    case 'expect_visible':
+      return [`await driver.wait(until.elementIsVisible(await ${find(args.selector)}), ${args.timeout || DEFAULT_WAIT});`];
+    case 'expect_hidden':
+      return [`await driver.wait(async () => !(await driver.findElements(By.css(${js(args.selector)}))).length || !(await ${find(args.selector)}.isDisplayed()), ${args.timeout || DEFAULT_WAIT});`];
+    case 'expect_text':
+      return [`await driver.wait(until.${args.exact ? 'elementTextIs' : 'elementTextContains'}(await ${find(args.selector)}, ${js(args.text)}), ${args.timeout || DEFAULT_WAIT});`];
+    case 'expect_value':
+      return [`assert.strictEqual(await ${find(args.selector)}.getAttribute('value'), ${js(args.value)});`];
+    case 'expect_attribute':
+      return args.value === undefined
+        ? [`assert.notStrictEqual(await ${find(args.selector)}.getAttribute(${js(args.name)}), null);`]
+        : [`assert.strictEqual(await ${find(args.selector)}.getAttribute(${js(args.name)}), ${js(args.value)});`];
+    case 'expect_count':
+      return [`assert.strictEqual((await driver.findElements(By.css(${js(args.selector)}))).length, ${args.count});`];
+    case 'expect_url':
+      return [`await driver.wait(${args.regex ? `until.urlMatches(new RegExp(${js(args.url)}))` : `until.urlContains(${js(args.url)})`}, ${args.timeout || DEFAULT_WAIT});`];
+    case 'expect_title':
+      return [`await driver.wait(until.${args.exact ? 'titleIs' : 'titleContains'}(${js(args.title)}), ${args.timeout || DEFAULT_WAIT});`];
+    case 'evaluate':
+      return [`await driver.executeScript(${js(args.script)});`];
+    default:
+      return null;
+  }
+}
+
+const frameChain = (frame) => (Array.isArray(frame) ? frame : [frame]);
+
+/**
+ * Run the statements of an action inside the iframes it was recorded in.
+ */
+function inFrame(frame, lines) {
+  if (!frame || frame.length === 0) {
+    return lines;
+  }
+  return [
+    ...frameChain(frame).map(selector => `await driver.switchTo().frame(await driver.findElement(By.css(${js(selector)})));`),
+    ...lines,
+    'await driver.switchTo().defaultContent();'
+  ];
+}
+
+function generateBasicWebDriver(actions, name) {
+  const body = actions.flatMap(action => {
+    const lines = toWebDriver(action);
+    return lines
+      ? inFrame(action.args.frame, lines)
+      : [`// TODO: ${action.tool} ${js(action.args)} has no WebDriver equivalent`];
+  });
+
+  const content = `const assert = require('assert');
+const { Builder, By, Key, Select, until } = require('selenium-webdriver');
+
+describe(${js(name)}, function () {
+  this.timeout(60000);
+  let driver;
+
+  before(async () => {
+    driver = await new Builder()
+      .forBrowser('chrome')
+      .usingServer(process.env.SELENIUM_REMOTE_URL || 'http://localhost:4444')
+      .build();
+  });
+
+  after(async () => {
+    if (driver) {
+      await driver.quit();
+    }
+  });
+
+  it(${js(name)}, async () => {
+${body.map(line => `    ${line}`).join('\n')}
+  });
+});
+`;
+
+  return [{ path: `${toIdentifier(name)}.test.js`, content }];
+}
+
+/**
+ * Translate one recorded action into a Gherkin step and the step definition that implements it.
+ */
+function toCucumberStep({ tool, args }) {
+  if (args.locator) {
+    return null;
+  }
+  switch (tool) {
+    case 'navigate':
+      return [{ keyword: 'Given', text: `I open ${gherkin(args.url)}`, pattern: 'I open {string}', params: ['url'], body: 'await this.driver.get(url);' }];
+    case 'go_back':
+      return [{ keyword: 'When', text: 'I go back', pattern: 'I go back', params: [], body: 'await this.driver.navigate().back();' }];
+    case 'go_forward':
+      return [{ keyword: 'When', text: 'I go forward', pattern: 'I go forward', params: [], body: 'await this.driver.navigate().forward();' }];
+    case 'reload':
+      return [{ keyword: 'When', text: 'I reload the page', pattern: 'I reload the page', params: [], body: 'await this.driver.navigate().refresh();' }];
+    case 'click':
+      return [{ keyword: 'When', text: `I click ${gherkin(args.selector)}`, pattern: 'I click {string}', params: ['selector'], body: 'await this.driver.findElement(By.css(selector)).click();' }];
+    case 'type':
+      return [typeStep(args.selector, args.text)];
+    case 'fill_form':
+      return Object.entries(args.fields).map(([selector, value]) => typeStep(selector, value));
+    case 'select':
+      return [{ keyword: 'When', text: `I select ${gherkin(args.value)} in ${gherkin(args.selector)}`, pattern: 'I select {string} in {string}', params: ['value', 'selector'], body: 'await new Select(await this.driver.findElement(By.css(selector))).selectByValue(value);' }];
+    case 'double_click':
+      return [{ keyword: 'When', text: `I double-click ${gherkin(args.selector)}`, pattern: 'I double-click {string}', params: ['selector'], body: 'await this.driver.actions().doubleClick(await this.driver.findElement(By.css(selector))).perform();' }];
+    case 'right_click':
+      return [{ keyword: 'When', text: `I right-click ${gherkin(args.selector)}`, pattern: 'I right-click {string}', params: ['selector'], body: 'await this.driver.actions().contextClick(await this.driver.findElement(By.css(selector))).perform();' }];
+    case 'hover':
+      return [{ keyword: 'When', text: `I hover over ${gherkin(args.selector)}`, pattern: 'I hover over {string}', params: ['selector'], body: 'await this.driver.actions().move({ origin: await this.driver.findElement(By.css(selector)) }).perform();' }];
+    case 'drag_and_drop':
+      return [{ keyword: 'When', text: `I drag ${gherkin(args.sourceSelector)} onto ${gherkin(args.targetSelector)}`, pattern: 'I drag {string} onto {string}', params: ['source', 'target'], body: 'await this.driver.actions().dragAndDrop(await this.driver.findElement(By.css(source)), await this.driver.findElement(By.css(target))).perform();' }];
+    case 'press_key':
+      return [args.selector
+        ? { keyword: 'When', text: `I press ${gherkin(args.key)} in ${gherkin(args.selector)}`, pattern: 'I press {string} in {string}', params: ['key', 'selector'], body: 'await this.driver.findElement(By.css(selector)).sendKeys(toKeys(key));' }
+        : { keyword: 'When', text: `I press ${gherkin(args.key)}`, pattern: 'I press {string}', params: ['key'], body: 'await this.driver.switchTo().activeElement().sendKeys(toKeys(key));' }];
+    case 'type_sequentially':
+      return [args.clear
+        ? typeStep(args.selector, args.text)
+        : { keyword: 'When', text: `I append ${gherkin(args.text)} to ${gherkin(args.selector)}`, pattern: 'I append {string} to {string}', params: ['text', 'selector'], body: 'await this.driver.findElement(By.css(selector)).sendKeys(text);' }];
+    case 'scroll':
+      if (args.selector && !args.x && !args.y) {
+        return [{ keyword: 'When', text: `I scroll to ${gherkin(args.selector)}`, pattern: 'I scroll to {string}', params: ['selector'], body: 'await this.driver.executeScript(\'arguments[0].scrollIntoView({ block: "center" });\', await this.driver.findElement(By.css(selector)));' }];
+      }
+      if (!args.selector) {
+        return [{ keyword: 'When', text: `I scroll the page by ${args.x || 0} and ${args.y || 0} pixels`, pattern: 'I scroll the page by {int} and {int} pixels', params: ['x', 'y'], body: 'await this.driver.executeScript(\'window.scrollBy(arguments[0], arguments[1]);\', x, y);' }];
+      }
+      return null;
+    case 'expect_visible':
+      return [waitStep({ keyword: 'Then', text: `${gherkin(args.selector)} should be visible`, pattern: '{string} should be visible', params: ['selector'], wait: timeout => `await this.driver.wait(until.elementIsVisible(await this.driver.findElement(By.css(selector))), ${timeout});` }, args.timeout)];
+    case 'expect_hidden':
+      return [waitStep({ keyword: 'Then', text: `${gherkin(args.selector)} should be hidden`, pattern: '{string} should be hidden', params: ['selector'], wait: timeout => `await this.driver.wait(async () => !(await this.driver.findElements(By.css(selector))).length || !(await this.driver.findElement(By.css(selector)).isDisplayed()), ${timeout});` }, args.timeout)];
+    case 'expect_text':
+      return [args.exact
+        ? waitStep({ keyword: 'Then', text: `${gherkin(args.selector)} should have the text ${gherkin(args.text)}`, pattern: '{string} should have the text {string}', params: ['selector', 'text'], wait: timeout => `await this.driver.wait(until.elementTextIs(await this.driver.findElement(By.css(selector)), text), ${timeout});` }, args.timeout)
+        : waitStep({ keyword: 'Then', text: `${gherkin(args.selector)} should contain the text ${gherkin(args.text)}`, pattern: '{string} should contain the text {string}', params: ['selector', 'text'], wait: timeout => `await this.driver.wait(until.elementTextContains(await this.driver.findElement(By.css(selector)), text), ${timeout});` }, args.timeout)];
+    case 'expect_value':
+      return [{ keyword: 'Then', text: `${gherkin(args.selector)} should have the value ${gherkin(args.value)}`, pattern: '{string} should have the value {string}', params: ['selector', 'value'], body: "assert.strictEqual(await this.driver.findElement(By.css(selector)).getAttribute('value'), value);" }];
+    case 'expect_count':
+      return [{ keyword: 'Then', text: `I should see ${args.count} elements matching ${gherkin(args.selector)}`, pattern: 'I should see {int} elements matching {string}', params: ['count', 'selector'], body: 'assert.strictEqual((await this.driver.findElements(By.css(selector))).length, count);' }];
+    case 'expect_url':
+      return args.regex
+        ? null
+        : [waitStep({ keyword: 'Then', text: `the URL should contain ${gherkin(args.url)}`, pattern: 'the URL should contain {string}', params: ['url'], wait: timeout => `await this.driver.wait(until.urlContains(url), ${timeout});` }, args.timeout)];
+    case 'expect_title':
+      return [args.exact
+        ? waitStep({ keyword: 'Then', text: `the title should be ${gherkin(args.title)}`, pattern: 'the title should be {string}', params: ['title'], wait: timeout => `await this.driver.wait(until.titleIs(title), ${timeout});` }, args.timeout)
+        : waitStep({ keyword: 'Then', text: `the title should contain ${gherkin(args.title)}`, pattern: 'the title should contain {string}', params: ['title'], wait: timeout => `await this.driver.wait(until.titleContains(title), ${timeout});` }, args.timeout)];
+    case 'wait_for':
+      return [waitStep({ keyword: 'Then', text: `I should see ${gherkin(args.selector)}`, pattern: 'I should see {string}', params: ['selector'], wait: timeout => `await this.driver.wait(until.elementLocated(By.css(selector)), ${timeout});` }, args.timeout)];
+    default:
+      return null;
+  }
+}
+
+/**
+ * A step that waits up to the recorded timeout. The default wait is written into the step
+ * definition; any other timeout is spelled out in the step, e.g. "within 10000 ms".
+ * wait(timeout) returns the waiting statement for a timeout expression.
+ */
+function waitStep({ wait, ...step }, timeout = DEFAULT_WAIT) {
+  if (timeout === DEFAULT_WAIT) {
+    return { ...step, body: wait(DEFAULT_WAIT) };
+  }
+  return {
+    ...step,
+    text: `${step.text} within ${timeout} ms`,
+    pattern: `${step.pattern} within {int} ms`,
+    params: [...step.params, 'timeout'],
+    body: wait('timeout')
+  };
+}
+
+function typeStep(selector, text) {
+  return {
+    keyword: 'When',
+    text: `I type ${gherkin(text)} into ${gherkin(selector)}`,
+    pattern: 'I type {string} into {string}',
+    params: ['text', 'selector'],
+    body: 'const element = await this.driver.findElement(By.css(selector));\n  await element.clear();\n  await element.sendKeys(text);'
+  };
+}
+
+function frameSteps(frame) {
+  return {
+    enter: frameChain(frame).map(selector => ({
+      keyword: 'When',
+      text: `I switch to frame ${gherkin(selector)}`,
+      pattern: 'I switch to frame {string}',
+      params: ['selector'],
+      body: 'await this.driver.switchTo().frame(await this.driver.findElement(By.css(selector)));'
+    })),
+    leave: {
+      keyword: 'When',
+      text: 'I switch to the main page',
+      pattern: 'I switch to the main page',
+      params: [],
+      body: 'await this.driver.switchTo().defaultContent();'
+    }
+  };
+}
+
+// One step definitions file shared by every generated feature, since Cucumber rejects a step
+// that matches patterns defined in two files
+const SHARED_STEPS_PATH = path.join('features', 'step_definitions', 'zypin.steps.js');
+
+/**
+ * Patterns already defined in a step definitions file.
+ */
+function definedPatterns(content) {
+  return new Set(Array.from(content.matchAll(/^(?:Given|When|Then)\(("(?:[^"\\]|\\.)*")/gm), match => JSON.parse(match[1])));
+}
+
+function generateCucumberBdd(actions, name, { outputDir } = {}) {
+  const id = toIdentifier(name);
+  const lines = [];
+  const definitions = new Map();
+  let previousKeyword = null;
+
+  for (const action of actions) {
+    let steps = toCucumberStep(action);
+    if (!steps) {
+      lines.push(`    # TODO: ${action.tool} ${js(action.args)} has no step definition`);
+      continue;
+    }
+    if (action.args.frame && action.args.frame.length > 0) {
+      const { enter, leave } = frameSteps(action.args.frame);
+      steps = [...enter, ...steps, leave];
+    }
+    for (const step of steps) {
+      // Repeat keywords read better as "And"
+      lines.push(`    ${step.keyword === previousKeyword ? 'And' : step.keyword} ${step.text}`);
+      previousKeyword = step.keyword;
+      definitions.set(step.pattern, step);
+    }
+  }
+
+  const feature = `Feature: ${name}
+
+  Scenario: ${name}
+${lines.join('\n')}
+`;
+
+  // Add to the shared steps of earlier generated features instead of defining their patterns again
+  const sharedPath = outputDir ? path.join(outputDir, SHARED_STEPS_PATH) : null;
+  const existing = sharedPath && fs.existsSync(sharedPath) ? fs.readFileSync(sharedPath, 'utf8') : null;
+  if (existing) {
+    for (const pattern of definedPatterns(existing)) {
+      definitions.delete(pattern);
+    }
+  }
+
+  const usesKeys = Array.from(definitions.values()).some(step => step.body.includes('toKeys('));
+  const keyHelper = `
+// Turn "Control+Shift+K" into a WebDriver key chord
+function toKeys(chord) {
+  return Key.chord(...chord.split(/\\+(?=.)/).map(name => (name.length === 1
+    ? name
+    : Key[{ Backspace: 'BACK_SPACE', ControlOrMeta: 'CONTROL' }[name] || name.replace(/([a-z])([A-Z0-9])/g, '$1_$2').toUpperCase()])));
+}
+`;
+
+  const definitionCode = Array.from(definitions.values()).map(step => `${step.keyword}(${js(step.pattern)}, async function (${step.params.join(', ')}) {
+  ${step.body}
+});`).join('\n\n');
+
+  const stepDefinitions = existing
+    ? `${existing}${usesKeys && !existing.includes('function toKeys(') ? keyHelper : ''}${definitionCode ? `\n${definitionCode}\n` : ''}`
+    : `const assert = require('assert');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { By, Key, Select, until } = require('selenium-webdriver');
+${usesKeys ? keyHelper : ''}
+// Steps expect the WebDriver instance on the World as this.driver
+${definitionCode}
+`;
+
+  return [
+    { path: path.join('features', `${id}.feature`), content: feature },
+    { path: SHARED_STEPS_PATH, content: stepDefinitions }
+  ];
+}
+
+const GENERATORS = {
+  'selenium/basic-webdriver': generateBasicWebDriver,
+  'selenium/cucumber-bdd': generateCucumberBdd
+};
+
+export const SUPPORTED_TEMPLATES = Object.keys(GENERATORS);
+
+/**
+ * Generate test files for a template from recorded actions.
+ * Files are written below outputDir when given; otherwise only their content is returned.
+ */
+export function generateTest(actions, { template, name, outputDir }) {
+  const generator = GENERATORS[template];
+  if (!generator) {
+    throw new Error(`Template "${template}" is not supported (supported: ${SUPPORTED_TEMPLATES.join(', ')})`);
+  }
+  if (actions.length === 0) {
+    throw new Error('No actions recorded yet');
+  }
+
+  const files = generator(actions, name, { outputDir });
+  if (outputDir) {
+    for (const file of files) {
+      file.path = path.join(outputDir, file.path);
+      fs.mkdirSync(path.dirname(file.path), { recursive: true });
+      fs.writeFileSync(file.path, file.content);
+    }
+  }
+  return files;
+}
@@ -0,0 +1,138 @@
+/**
+ * Batched tool calls for Zypin MCP
+ * The run_steps tool runs a list of tool calls in order within one MCP request,
+ * so a whole flow costs one round trip, and reports each step's result and timing
+ *
+ * TODO:
+ * - Repeat steps over a list of inputs
+ * - Pass values from one step's result into later steps
+ */
+
+import { ToolError, callTool, prepareArguments, toErrorResult } from './tool-call.js';
+import { DEFAULT_SESSION } from './sessions.js';
+
+export const ON_ERROR = ['stop', 'continue'];
+
+/**
+ * Add the batch's session to a step that takes one and does not name its own.
+ */
+function withStepSession(tool, args, session) {
+  if (session === undefined || args.session !== undefined || !tool.inputSchema.properties?.session) {
+    return args;
+  }
+  return { ...args, session };
+}
+
+/**
+ * Check every step before running any, so a typo in a late step does not leave the flow half done.
+ */
+function checkSteps(tools, steps, session) {
+  if (steps.length === 0) {
+    throw new ToolError('INVALID_ARGUMENT', 'run_steps needs at least one step', { argument: 'steps' });
+  }
+  steps.forEach((step, index) => {
+    const tool = tools.find(t => t.name === step.tool);
+    if (!tool || tool.name === 'run_steps') {
+      throw new ToolError('INVALID_ARGUMENT',
+        step.tool === 'run_steps' ? `Step ${index + 1}: run_steps cannot be nested` : `Step ${index + 1}: unknown tool ${step.tool}`,
+        { argument: `steps[${index}].tool` });
+    }
+    try {
+      prepareArguments(tool, withStepSession(tool, step.arguments || {}, session));
+    } catch (error) {
+      error.message = `Step ${index + 1}: ${error.message}`;
+      error.argument = error.argument ? `steps[${index}].arguments.${error.argument}` : `steps[${index}].arguments`;
+      throw error;
+    }
+  });
+}
+
+/**
+ * Save a failure screenshot of a step's session, if it has a page.
+ */
+async function screenshotSession(sessions, session, step) {
+  try {
+    return await sessions.get(session).saveFailureScreenshot(`step-${step}`);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Create the run_steps tool. getTools returns the enabled tools the steps may call.
+ */
+export function createRunStepsTool(sessions, getTools) {
+  return {
+    name: 'run_steps',
+    group: 'utility',
+    description: 'Run a list of tool calls in order in one request and return the result and timing of each step',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        steps: {
+          type: 'array',
+          description: 'Tool calls to run in order, e.g. [{"tool": "navigate", "arguments": {"url": "https://example.com"}}, {"tool": "click", "arguments": {"selector": "#login"}}]',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              tool: { type: 'string', description: 'Name of the tool to call' },
+              arguments: { type: 'object', description: 'Arguments for the tool' }
+            },
+            required: ['tool']
+          }
+        },
+        onError: { type: 'string', enum: ON_ERROR, default: 'stop', description: 'Stop at the first failed step, or continue with the rest (default: stop)' },
+        screenshotOnFailure: { type: 'boolean', default: false, description: 'Save a screenshot of the page when a step fails (default: false)' },
+        session: { type: 'string', description: `Browser session for steps that do not name one (default: "${DEFAULT_SESSION}")` }
+      },
+      required: ['steps']
+    },
+    handler: async ({ steps, onError = 'stop', screenshotOnFailure = false, session }) => {
+      const tools = getTools();
+      checkSteps(tools, steps, session);
+
+      const started = Date.now();
+      const results = [];
+      const attachments = [];
+      for (const [index, step] of steps.entries()) {
+        const tool = tools.find(t => t.name === step.tool);
+        const args = withStepSession(tool, step.arguments || {}, session);
+        const stepStarted = Date.now();
+        let entry;
+        try {
+          const { attachments: stepAttachments = [], success, message, ...data } = await callTool(tools, step.tool, args);
+          attachments.push(...stepAttachments);
+          entry = { step: index + 1, tool: step.tool, success: success !== false, message, ...data };
+        } catch (error) {
+          entry = { step: index + 1, tool: step.tool, success: false, error: toErrorResult(error).error };
+        }
+        entry.durationMs = Date.now() - stepStarted;
+
+        if (!entry.success && screenshotOnFailure && tool.inputSchema.properties?.session) {
+          // Element failures may already have captured the page
+          entry.screenshot = entry.error?.diagnostics?.screenshot || await screenshotSession(sessions, args.session, entry.step);
+        }
+        results.push(entry);
+        if (!entry.success && onError === 'stop') {
+          break;
+        }
+      }
+
+      const failed = results.filter(result => !result.success).length;
+      const passed = results.length - failed;
+      const skipped = steps.length - results.length;
+      const durationMs = Date.now() - started;
+      const firstFailure = results.find(result => !result.success);
+      return {
+        success: failed === 0,
+        data: { steps: results, passed, failed, skipped, durationMs },
+        attachments,
+        message: failed === 0
+          ? `Ran ${passed} step(s) in ${durationMs}ms`
+          : `${failed} of ${steps.length} step(s) failed, first at step ${firstFailure.step} (${firstFailure.tool}): ` +
+            `${firstFailure.error?.message || firstFailure.message}${skipped > 0 ? `; skipped ${skipped}` : ''}`
+      };
+    }
+  };
+}
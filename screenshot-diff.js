@@ -0,0 +1,74 @@
+/**
+ * Screenshot comparison for Zypin MCP
+ * Compares PNG screenshots pixel by pixel and renders a diff image of the changed pixels
+ *
+ * TODO:
+ * - Support anti-aliasing tolerance per region
+ * - Compare against baselines per browser and viewport
+ */
+
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+/**
+ * Copy an image onto a transparent canvas of the given size, so images of
+ * different sizes can be compared; the padding counts as changed pixels.
+ */
+function resize(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+  const canvas = new PNG({ width, height });
+  PNG.bitblt(image, canvas, 0, 0, image.width, image.height, 0, 0);
+  return canvas;
+}
+
+/**
+ * Make the ignored regions of actual identical to the baseline, so they never count as changes.
+ */
+function applyIgnoreRegions(actual, baseline, regions) {
+  for (const region of regions) {
+    const left = Math.max(0, Math.floor(region.x));
+    const top = Math.max(0, Math.floor(region.y));
+    const right = Math.min(actual.width, Math.ceil(region.x + region.width));
+    const bottom = Math.min(actual.height, Math.ceil(region.y + region.height));
+    for (let y = top; y < bottom; y++) {
+      const start = (y * actual.width + left) * 4;
+      const end = (y * actual.width + right) * 4;
+      if (end > start) {
+        baseline.data.copy(actual.data, start, start, end);
+      }
+    }
+  }
+}
+
+/**
+ * Compare two PNG buffers.
+ * ignoreRegions are { x, y, width, height } rectangles in image pixels.
+ * threshold is the per-pixel color distance (0-1) below which pixels count as equal.
+ * Returns the mismatch and a PNG buffer highlighting changed pixels in red.
+ */
+export function compareImages(actualBuffer, baselineBuffer, { ignoreRegions = [], threshold = 0.1 } = {}) {
+  const actualImage = PNG.sync.read(actualBuffer);
+  const baselineImage = PNG.sync.read(baselineBuffer);
+  const width = Math.max(actualImage.width, baselineImage.width);
+  const height = Math.max(actualImage.height, baselineImage.height);
+
+  const actual = resize(actualImage, width, height);
+  const baseline = resize(baselineImage, width, height);
+  applyIgnoreRegions(actual, baseline, ignoreRegions);
+
+  const diff = new PNG({ width, height });
+  const mismatchedPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, { threshold });
+  const totalPixels = width * height;
+
+  return {
+    mismatchedPixels,
+    totalPixels,
+    mismatchPercentage: totalPixels === 0 ? 0 : Number(((mismatchedPixels / totalPixels) * 100).toFixed(3)),
+    sizeMismatch: actualImage.width !== baselineImage.width || actualImage.height !== baselineImage.height
+      ? { actual: { width: actualImage.width, height: actualImage.height }, baseline: { width: baselineImage.width, height: baselineImage.height } }
+      : null,
+    diff: PNG.sync.write(diff)
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Browser session manager for Zypin MCP
+ * Keeps named, isolated SimpleBrowser instances so one server can drive several users at once
+ *
+ * TODO:
+ * - Share one browser process between sessions
+ * - Add idle session expiry
+ */
+
+import { SimpleBrowser } from './browser.js';
+import { ToolError } from './tool-call.js';
+
+export const DEFAULT_SESSION = 'default';
+
+export class SessionManager {
+  constructor(config = {}) {
+    this.config = config;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get the browser for a session.
+   * The default session is created on first use; other sessions must be created explicitly.
+   */
+  get(name = DEFAULT_SESSION) {
+    if (!this.sessions.has(name)) {
+      if (name !== DEFAULT_SESSION) {
+        throw new ToolError('INVALID_ARGUMENT', `Session "${name}" does not exist. Create it with session_create first`, { argument: 'session' });
+      }
+      this.create(name);
+    }
+    return this.sessions.get(name);
+  }
+
+  create(name, options = {}) {
+    if (this.sessions.has(name)) {
+      throw new ToolError('INVALID_ARGUMENT', `Session "${name}" already exists`, { argument: 'name' });
+    }
+
+    // Each session gets its own browser, context, cookies and viewport
+    const browser = new SimpleBrowser({
+      ...this.config,
+      ...options,
+      viewport: options.viewport || this.config.viewport
+    });
+    this.sessions.set(name, browser);
+    return browser;
+  }
+
+  list() {
+    return Array.from(this.sessions.entries()).map(([name, browser]) => ({
+      name,
+      launched: browser.browser !== null,
+      healthy: !browser.unhealthy,
+      tabs: browser.pages.length,
+      url: browser.page ? browser.page.url() : null,
+      viewport: browser.config.viewport
+    }));
+  }
+
+  async destroy(name) {
+    const browser = this.sessions.get(name);
+    if (!browser) {
+      throw new ToolError('INVALID_ARGUMENT', `Session "${name}" does not exist`, { argument: 'name' });
+    }
+    this.sessions.delete(name);
+    return await browser.close();
+  }
+
+  /**
+   * Close every session. Returns the trace and video files each one wrote.
+   */
+  async closeAll() {
+    const entries = Array.from(this.sessions.entries());
+    this.sessions.clear();
+    return await Promise.all(entries.map(async ([name, browser]) => ({ name, ...(await browser.close()) })));
+  }
+}
@@ -10,9 +10,17 @@
  * - Add edge case tests for complex scenarios
  */
 
-import { SimpleBrowser } from './browser.js';
+import { SessionManager } from './sessions.js';
 import { createTools } from './tools.js';
-import { mkdtempSync, rmSync } from 'fs';
+import { loadConfig, ConfigError } from './config.js';
+import { loadPlugins } from './plugins.js';
+import { callTool, prepareArguments, toErrorResult } from './tool-call.js';
+import { generateTest } from './recorder.js';
+import { startHttpServer } from './http-transport.js';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import http from 'http';
+import { mkdtempSync, mkdirSync, rmSync, readFileSync, existsSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 
@@ -64,6 +72,9 @@ async function injectInteractiveElements(tools) {
   const evaluateTool = findTool(tools, 'evaluate');
   await evaluateTool.handler({ 
     script: `
+      // Replace the elements of an earlier call, since actions need their target to be unique
+      document.querySelectorAll('#test-button, #test-input, #test-select').forEach(element => element.remove());
+      
       const button = document.createElement('button');
       button.id = 'test-button';
       button.textContent = 'Test Button';
@@ -227,19 +238,446 @@ async function testCoreTools() {
   });
 }
 
+// Config Tests
+async function testConfig() {
+  console.log('\n🧪 Testing Config...');
+  
+  await test('config defaults', async () => {
+    const { config, file } = loadConfig({ cwd: tempDir, env: {} });
+    assert(file === null, 'Should not find a config file');
+    assert(config.browser === 'chromium' && config.headless === true, 'Should use defaults');
+  });
+  
+  await test('config precedence', async () => {
+    const configPath = join(tempDir, 'zypin-mcp.json');
+    writeFileSync(configPath, JSON.stringify({ browser: 'firefox', timeout: 10000, contextOptions: { locale: 'de-DE' } }));
+    const { config, file } = loadConfig({
+      cwd: tempDir,
+      env: { ZYPIN_MCP_TIMEOUT: '20000', ZYPIN_MCP_WIDTH: '1024' },
+      cliOptions: { headed: true }
+    });
+    rmSync(configPath);
+    assert(file === configPath, 'Should discover config file');
+    assert(config.browser === 'firefox', 'Should read config file');
+    assert(config.timeout === 20000, 'Environment should override config file');
+    assert(config.viewport.width === 1024 && config.viewport.height === 720, 'Should merge viewport');
+    assert(config.headless === false, 'Command line should override defaults');
+    assert(config.contextOptions.locale === 'de-DE', 'Should read context options');
+  });
+  
+  await test('config plugin paths', async () => {
+    const configPath = join(tempDir, 'config', 'zypin-mcp.json');
+    mkdirSync(join(tempDir, 'config'), { recursive: true });
+    writeFileSync(configPath, JSON.stringify({ plugins: ['./plugins/login.js', 'zypin-plugin-audit'] }));
+    const { config } = loadConfig({ cwd: tempDir, cliOptions: { config: configPath, plugin: ['./local.js'] } });
+    rmSync(configPath);
+    assert(config.plugins[0] === join(tempDir, 'config', 'plugins', 'login.js'), 'Should resolve against the config file');
+    assert(config.plugins[1] === 'zypin-plugin-audit', 'Should keep package names');
+    assert(config.plugins[2] === './local.js', 'Should leave command line paths to the working directory');
+  });
+  
+  await test('config emulation options', async () => {
+    const { config } = loadConfig({
+      cwd: tempDir,
+      env: { ZYPIN_MCP_GEOLOCATION: '52.52,13.405', ZYPIN_MCP_COLOR_SCHEME: 'dark' },
+      cliOptions: { device: 'iPhone 13', throttling: '100,500,250' }
+    });
+    assert(config.emulation.device === 'iPhone 13' && config.emulation.colorScheme === 'dark', 'Should merge emulation');
+    assert(config.emulation.geolocation.latitude === 52.52 && config.emulation.geolocation.longitude === 13.405, 'Should parse geolocation');
+    assert(config.emulation.throttling.downloadKbps === 500, 'Should parse custom throttling');
+  });
+  
+  await test('config test id attribute', async () => {
+    const { config } = loadConfig({ cwd: tempDir, env: { ZYPIN_MCP_TEST_ID_ATTRIBUTE: 'data-qa' } });
+    assert(config.testIdAttribute === 'data-qa', 'Should read the test id attribute');
+  });
+  
+  await test('config validation errors', async () => {
+    try {
+      loadConfig({ cwd: tempDir, env: { ZYPIN_MCP_BROWSER: 'ie', ZYPIN_MCP_TOOLS: 'navigation,magic' } });
+      assert(false, 'Should reject invalid config');
+    } catch (error) {
+      assert(error instanceof ConfigError, 'Should throw ConfigError');
+      assert(error.message.includes('browser') && error.message.includes('toolGroups[1]'), 'Should name invalid options');
+    }
+  });
+  
+  await test('config emulation validation errors', async () => {
+    try {
+      loadConfig({ cwd: tempDir, env: { ZYPIN_MCP_DEVICE: 'Nokia 3310', ZYPIN_MCP_THROTTLING: 'dial-up' } });
+      assert(false, 'Should reject unknown emulation values');
+    } catch (error) {
+      assert(error instanceof ConfigError, 'Should throw ConfigError');
+      assert(error.message.includes('Unknown device "Nokia 3310"'), 'Should name the unknown device');
+      assert(error.message.includes('emulation.throttling: must be one of: none, slow-3g'), 'Should list the throttling presets');
+    }
+    try {
+      loadConfig({ cwd: tempDir, env: { ZYPIN_MCP_TIMEOUT: '3000.5' } });
+      assert(false, 'Should reject a fractional timeout');
+    } catch (error) {
+      assert(error.message.includes('timeout: expected an integer, got 3000.5'), 'Should show the invalid number');
+    }
+  });
+  
+  await test('tool groups filter tools', async () => {
+    const tools = createTools(null, { toolGroups: ['navigation'] });
+    assert(tools.length > 0 && tools.every(t => t.group === 'navigation'), 'Should only expose enabled groups');
+  });
+}
+
+// Tool Call Tests
+async function testToolCalls() {
+  console.log('\n🧪 Testing Tool Calls...');
+  const sessions = new SessionManager({ headless: true, timeout: TEST_TIMEOUT });
+  const tools = createTools(sessions);
+  const errorOf = async (name, args) => {
+    try {
+      await callTool(tools, name, args);
+    } catch (error) {
+      return toErrorResult(error).error;
+    }
+    assert(false, `${name} should fail`);
+  };
+  
+  try {
+    await test('callTool unknown tool', async () => {
+      const error = await errorOf('teleport', {});
+      assert(error.code === 'UNKNOWN_TOOL', 'Should return UNKNOWN_TOOL');
+    });
+    
+    await test('callTool invalid arguments', async () => {
+      const missing = await errorOf('navigate', {});
+      assert(missing.code === 'INVALID_ARGUMENT' && missing.argument === 'url', 'Should name the missing argument');
+      const wrongType = await errorOf('wait_for', { selector: 'body', timeout: 'soon' });
+      assert(wrongType.code === 'INVALID_ARGUMENT' && wrongType.argument === 'timeout', 'Should name the mistyped argument');
+      const noLimit = await errorOf('network_requests', { limit: 0 });
+      assert(noLimit.code === 'INVALID_ARGUMENT' && noLimit.argument === 'limit', 'Should reject a limit of 0');
+      const noTarget = await errorOf('click', {});
+      assert(noTarget.code === 'INVALID_ARGUMENT' && noTarget.argument === 'selector', 'Should require a selector, ref or locator');
+      assert(!sessions.get().browser, 'Should reject the call before launching the browser');
+    });
+    
+    await test('callTool session name errors', async () => {
+      await callTool(tools, 'session_create', { name: 'twice' });
+      const duplicate = await errorOf('session_create', { name: 'twice' });
+      assert(duplicate.code === 'INVALID_ARGUMENT' && duplicate.argument === 'name', 'Should reject a duplicate session name');
+      await callTool(tools, 'session_close', { name: 'twice' });
+      const missing = await errorOf('session_close', { name: 'twice' });
+      assert(missing.code === 'INVALID_ARGUMENT' && missing.argument === 'name', 'Should reject an unknown session name');
+    });
+    
+    await test('callTool applies defaults', async () => {
+      const result = await callTool(tools, 'network_requests', {});
+      assert(result.success === true, 'Should call the tool');
+      const args = prepareArguments(findTool(tools, 'type_sequentially'), { selector: '#q', text: 'zypin' });
+      assert(args.delay === 100 && args.clear === false, 'Should apply schema defaults');
+    });
+    
+    await test('callTool element not found', async () => {
+      await callTool(tools, 'navigate', { url: TEST_URL });
+      const error = await errorOf('click', { selector: '#does-not-exist' });
+      assert(error.code === 'ELEMENT_NOT_FOUND' && error.argument === 'selector', 'Should report the missing element');
+    });
+    
+    await test('failure diagnostics', async () => {
+      await callTool(tools, 'evaluate', {
+        script: 'document.body.innerHTML = \'<button id="submit-order">Place order</button><button>Cancel</button>\''
+      });
+      const missing = await errorOf('click', { selector: '#submitOrder' });
+      assert(missing.diagnostics.url.startsWith(TEST_URL) && missing.diagnostics.matchCount === 0, 'Should report no match');
+      assert(missing.diagnostics.candidates[0].selector === '#submit-order', 'Should suggest the similar button');
+      const ambiguous = await errorOf('click', { selector: 'button' });
+      assert(ambiguous.diagnostics.matchCount === 2 && ambiguous.diagnostics.candidates.length === 2, 'Should list every match');
+      await callTool(tools, 'evaluate', {
+        script: 'new Promise(resolve => { const frame = document.createElement(\'iframe\'); frame.srcdoc = \'<button disabled>Pay</button>\'; frame.onload = resolve; document.body.appendChild(frame); })'
+      });
+      const { data } = await callTool(tools, 'snapshot', {});
+      const pay = data.elements.find(element => element.name === 'Pay');
+      const inFrame = await errorOf('click', { ref: pay.ref });
+      assert(inFrame.diagnostics.frame === pay.frame && inFrame.diagnostics.matchCount === 1, 'Should look for a ref in its own frame');
+    });
+    
+    await test('semantic locators', async () => {
+      await callTool(tools, 'evaluate', {
+        script: 'document.body.innerHTML = \'<label>Email <input id="email"></label>' +
+          '<ul><li>Milk <button>Remove</button></li><li>Bread <button>Remove</button></li></ul>' +
+          '<span data-testid="cart">2 items</span>\''
+      });
+      await callTool(tools, 'type', { locator: { label: 'email' }, text: 'user@example.com' });
+      const value = await callTool(tools, 'expect_value', { selector: '#email', value: 'user@example.com' });
+      assert(value.success === true, 'Should type into the labelled input');
+      const removed = await callTool(tools, 'click', { locator: [{ role: 'listitem', hasText: 'Milk' }, { role: 'button', name: 'Remove' }] });
+      assert(removed.success === true && removed.message.includes('role="button"'), 'Should click the button in the matching item');
+      const count = await callTool(tools, 'expect_count', { locator: { role: 'button', name: 'Remove', exact: true }, count: 2 });
+      assert(count.success === true, 'Should count locator matches');
+      const cart = await callTool(tools, 'expect_text', { locator: { testId: 'cart' }, text: '2 items' });
+      assert(cart.success === true, 'Should find elements by test id');
+      sessions.create('qa', { testIdAttribute: 'data-qa' });
+      await callTool(tools, 'evaluate', { session: 'qa', script: 'document.body.innerHTML = \'<span data-qa="cart">3 items</span>\'' });
+      const qaCart = await callTool(tools, 'expect_text', { session: 'qa', locator: { testId: 'cart' }, text: '3 items' });
+      assert(qaCart.success === true, 'Should use the configured test id attribute');
+      await callTool(tools, 'session_close', { name: 'qa' });
+      const ambiguous = await errorOf('click', { locator: { role: 'button', name: 'Remove' } });
+      assert(ambiguous.diagnostics.matchCount === 2, 'Should diagnose locators');
+      const invalid = await errorOf('click', { locator: { role: 'button', label: 'Remove' } });
+      assert(invalid.code === 'INVALID_ARGUMENT' && invalid.argument === 'locator', 'Should reject a locator with two kinds');
+    });
+    
+    await test('run_steps', async () => {
+      const passed = await callTool(tools, 'run_steps', {
+        steps: [
+          { tool: 'evaluate', arguments: { script: 'document.body.innerHTML = \'<button id="go">Go</button>\'' } },
+          { tool: 'click', arguments: { selector: '#go' } },
+          { tool: 'expect_visible', arguments: { selector: '#go' } }
+        ]
+      });
+      assert(passed.success === true && passed.data.passed === 3, 'Should run every step');
+      assert(passed.data.steps.every(step => step.success && typeof step.durationMs === 'number'), 'Should time every step');
+      
+      const stopped = await callTool(tools, 'run_steps', {
+        steps: [
+          { tool: 'click', arguments: { selector: '#missing' } },
+          { tool: 'click', arguments: { selector: '#go' } }
+        ],
+        screenshotOnFailure: true
+      });
+      assert(stopped.success === false && stopped.data.skipped === 1, 'Should stop at the first failure');
+      assert(stopped.data.steps[0].error.code === 'ELEMENT_NOT_FOUND', 'Should report the step error');
+      assert(stopped.data.steps[0].step === 1 && stopped.message.includes('step 1'), 'Should number steps from 1');
+      assert(existsSync(stopped.data.steps[0].screenshot), 'Should save a failure screenshot');
+      rmSync(stopped.data.steps[0].screenshot);
+      
+      const continued = await callTool(tools, 'run_steps', {
+        steps: [
+          { tool: 'expect_visible', arguments: { selector: '#missing', timeout: 100 } },
+          { tool: 'click', arguments: { selector: '#go' } }
+        ],
+        onError: 'continue'
+      });
+      assert(continued.data.failed === 1 && continued.data.passed === 1, 'Should continue after a failure');
+      
+      const invalid = await errorOf('run_steps', { steps: [{ tool: 'click', arguments: { selector: '#go' } }, { tool: 'teleport' }] });
+      assert(invalid.code === 'INVALID_ARGUMENT' && invalid.argument === 'steps[1].tool', 'Should check every step first');
+    });
+    
+    await test('callTool navigation failed', async () => {
+      const error = await errorOf('navigate', { url: 'http://zypin.invalid' });
+      assert(error.code === 'NAVIGATION_FAILED' && error.argument === 'url', 'Should report the failed navigation');
+    });
+  } finally {
+    await sessions.closeAll();
+  }
+}
+
+// HTTP Transport Tests
+async function testHttpTransport() {
+  console.log('\n🧪 Testing HTTP Transport...');
+  const AUTH_TOKEN = 'test-token';
+  let closedConnections = 0;
+  let finishedConnections = 0;
+  const createConnection = () => {
+    const tools = createTools(new SessionManager({}), { toolGroups: ['navigation'] });
+    const server = new Server({ name: 'zypin-mcp-test', version: '1.0.0' }, { capabilities: { tools: {} } });
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+    }));
+    return {
+      server,
+      // Closing browser sessions takes a while, as saving traces and videos does
+      close: async () => {
+        closedConnections++;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        finishedConnections++;
+      }
+    };
+  };
+  const httpServer = await startHttpServer(createConnection, { port: 0, host: '127.0.0.1', authToken: AUTH_TOKEN });
+  const url = `http://127.0.0.1:${httpServer.address.port}/mcp`;
+  const headers = {
+    Authorization: `Bearer ${AUTH_TOKEN}`,
+    'Content-Type': 'application/json',
+    Accept: 'application/json, text/event-stream'
+  };
+  const post = (body, extraHeaders = {}) => fetch(url, {
+    method: 'POST',
+    headers: { ...headers, ...extraHeaders },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  // Responses come as JSON or as a one-message event stream
+  const readRpc = async (response) => {
+    const text = await response.text();
+    const data = text.split('\n').find(line => line.startsWith('data: '));
+    return JSON.parse(data ? data.slice('data: '.length) : text);
+  };
+  const initialize = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+  };
+  
+  try {
+    await test('http rejects missing token', async () => {
+      const response = await fetch(url, { method: 'POST', headers: { ...headers, Authorization: 'Bearer wrong' }, body: JSON.stringify(initialize) });
+      assert(response.status === 401, 'Should return 401');
+      assert(response.headers.get('www-authenticate') === 'Bearer', 'Should ask for a bearer token');
+    });
+    
+    await test('http rejects other hosts and origins', async () => {
+      // fetch always sends the URL's host, so send this one by hand
+      const reboundStatus = await new Promise((resolve, reject) => {
+        const request = http.request(url, { method: 'POST', headers: { ...headers, Host: 'attacker.example' } }, response => {
+          response.resume();
+          resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end(JSON.stringify(initialize));
+      });
+      assert(reboundStatus === 403, 'Should reject a host the server is not bound to');
+      const crossOrigin = await post(initialize, { Origin: 'http://attacker.example' });
+      assert(crossOrigin.status === 403, 'Should reject a foreign origin');
+    });
+    
+    await test('http rejects large bodies', async () => {
+      const response = await post({ ...initialize, padding: 'x'.repeat(5 * 1024 * 1024) });
+      assert(response.status === 413, 'Should return 413');
+    });
+    
+    let sessionId;
+    await test('http initialize', async () => {
+      const response = await post(initialize);
+      assert(response.status === 200, 'Should initialize');
+      sessionId = response.headers.get('mcp-session-id');
+      assert(sessionId, 'Should return a session id');
+      const result = await readRpc(response);
+      assert(result.result.serverInfo.name === 'zypin-mcp-test', 'Should answer with the server info');
+      await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'mcp-session-id': sessionId });
+    });
+    
+    await test('http tools/list', async () => {
+      const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+      const result = await readRpc(response);
+      assert(result.result.tools.some(tool => tool.name === 'navigate'), 'Should list the tools');
+    });
+    
+    await test('http malformed body', async () => {
+      const response = await post('{"jsonrpc": ', { 'mcp-session-id': sessionId });
+      assert(response.status === 400, 'Should return 400');
+      const withoutSession = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' });
+      assert(withoutSession.status === 400, 'Should require a session for other requests');
+    });
+    
+    await test('http delete closes the connection', async () => {
+      const response = await fetch(url, { method: 'DELETE', headers: { ...headers, 'mcp-session-id': sessionId } });
+      assert(response.status === 200, 'Should end the session');
+      assert(closedConnections === 1, 'Should close the connection');
+      const after = await post({ jsonrpc: '2.0', id: 4, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+      assert(after.status === 404, 'Should forget the session');
+    });
+    
+    await test('http failed initialize closes the connection', async () => {
+      // Without text/event-stream in Accept the transport refuses the request
+      const response = await post(initialize, { Accept: 'application/json' });
+      assert(response.status === 406, 'Should refuse the request');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert(closedConnections === 2, 'Should close the connection of the failed initialize');
+    });
+    
+    await test('http close waits for open connections', async () => {
+      const response = await post(initialize);
+      assert(response.headers.get('mcp-session-id'), 'Should initialize');
+      await response.text();
+      await httpServer.close();
+      assert(closedConnections === 3, 'Should close the open connection');
+      assert(finishedConnections === 3, 'Should wait for the connection to finish closing');
+    });
+  } finally {
+    await httpServer.close();
+  }
+}
+
+// Plugin Tests
+async function testPlugins() {
+  console.log('\n🧪 Testing Plugins...');
+  
+  const goodPlugin = join(tempDir, 'good-plugin.js');
+  const badPlugin = join(tempDir, 'bad-plugin.js');
+  writeFileSync(goodPlugin, `
+    export default function (browser, api) {
+      return [
+        {
+          name: 'seed_cart',
+          description: 'Seed the cart',
+          inputSchema: { type: 'object', properties: { items: { type: 'number' } }, required: [] },
+          handler: async ({ items = 1 }, sessionBrowser) => ({ success: true, message: 'Seeded ' + items, sameBrowser: sessionBrowser === browser })
+        },
+        {
+          name: 'broken_result',
+          description: 'Returns nothing',
+          inputSchema: { type: 'object', properties: {} },
+          handler: async () => undefined
+        },
+        {
+          name: 'navigate',
+          description: 'Duplicate of a built-in tool',
+          inputSchema: { type: 'object', properties: {} },
+          handler: async () => ({ success: true })
+        },
+        {
+          name: 'run_steps',
+          description: 'Duplicate of the batch tool',
+          inputSchema: { type: 'object', properties: {} },
+          handler: async () => ({ success: true })
+        }
+      ];
+    }
+  `);
+  writeFileSync(badPlugin, 'export default function () { throw new Error("broken"); }');
+  
+  const sessions = new SessionManager({});
+  const plugins = await loadPlugins([goodPlugin, badPlugin, join(tempDir, 'missing-plugin.js')]);
+  const tools = createTools(sessions, { plugins });
+  
+  await test('plugin load failures are skipped', async () => {
+    assert(plugins.length === 2, 'Should skip plugin that cannot be imported');
+  });
+  
+  await test('plugin tools registered', async () => {
+    const tool = findTool(tools, 'seed_cart');
+    assert(tool && tool.group === 'plugins', 'Should register plugin tool');
+    assert(tool.inputSchema.properties.session, 'Should add session argument');
+    const result = await tool.handler({ items: 3 });
+    assert(result.message === 'Seeded 3' && result.sameBrowser === true, 'Should call plugin handler with session browser');
+  });
+  
+  await test('plugin results are checked', async () => {
+    try {
+      await findTool(tools, 'broken_result').handler({});
+      assert(false, 'Should reject a missing result');
+    } catch (error) {
+      assert(error.code === 'TOOL_FAILED' && error.message.includes(goodPlugin), 'Should name the plugin');
+    }
+  });
+  
+  await test('plugin duplicate tool names skipped', async () => {
+    assert(tools.filter(t => t.name === 'navigate').length === 1, 'Should keep only the built-in tool');
+    assert(tools.filter(t => t.name === 'run_steps').length === 1 && findTool(tools, 'run_steps').group === 'utility', 'Should keep the built-in run_steps');
+  });
+}
+
 // Playwright Tools Tests
 async function testPlaywrightTools() {
   console.log('\n🧪 Testing Playwright Tools...');
   
-  const browser = new SimpleBrowser({
+  const sessions = new SessionManager({
     browser: 'chromium',
     headless: true,
     viewport: { width: 800, height: 600 }
   });
   
   try {
-    await browser.launch();
-    const tools = createTools(browser);
+    await sessions.get().launch();
+    const tools = createTools(sessions);
     
     // Navigation Tools
     await test('navigate success', async () => {
@@ -266,6 +704,36 @@ async function testPlaywrightTools() {
       assert(result.success === true, 'Should reload successfully');
     });
     
+    // Tab Tools
+    await test('tab_new success', async () => {
+      const tool = findTool(tools, 'tab_new');
+      const result = await tool.handler({ url: TEST_URL });
+      assert(result.success === true, 'Should open tab successfully');
+      assert(result.data.index === 1, 'Should open second tab');
+    });
+    
+    await test('tabs_list success', async () => {
+      const tool = findTool(tools, 'tabs_list');
+      const result = await tool.handler({});
+      assert(result.success === true, 'Should list tabs successfully');
+      assert(result.data.tabs.length === 2, 'Should list both tabs');
+      assert(result.data.tabs[1].active === true, 'New tab should be active');
+    });
+    
+    await test('tab_select success', async () => {
+      const tool = findTool(tools, 'tab_select');
+      const result = await tool.handler({ index: 0 });
+      assert(result.success === true, 'Should select tab successfully');
+    });
+    
+    await test('tab_close success', async () => {
+      const tool = findTool(tools, 'tab_close');
+      const result = await tool.handler({ index: 1 });
+      assert(result.success === true, 'Should close tab successfully');
+      const tabs = await findTool(tools, 'tabs_list').handler({});
+      assert(tabs.data.tabs.length === 1, 'Should have one tab left');
+    });
+    
     // Interaction Tools
     await test('click success', async () => {
       const tool = findTool(tools, 'click');
@@ -296,6 +764,100 @@ async function testPlaywrightTools() {
       assert(result.success === true, 'Should fill form successfully');
     });
     
+    await test('double_click and right_click success', async () => {
+      await findTool(tools, 'evaluate').handler({
+        script: `const area = document.createElement('div'); area.id = 'test-clicks'; area.textContent = 'Click area';
+          area.ondblclick = () => { area.dataset.double = 'yes'; };
+          area.oncontextmenu = (event) => { event.preventDefault(); area.dataset.context = 'yes'; };
+          document.body.appendChild(area);`
+      });
+      const double = await findTool(tools, 'double_click').handler({ selector: '#test-clicks' });
+      assert(double.success === true, 'Should double-click successfully');
+      const right = await findTool(tools, 'right_click').handler({ selector: '#test-clicks' });
+      assert(right.success === true, 'Should right-click successfully');
+      const flags = await findTool(tools, 'evaluate').handler({ script: `Object.assign({}, document.querySelector('#test-clicks').dataset)` });
+      assert(flags.data.result.double === 'yes' && flags.data.result.context === 'yes', 'Should fire dblclick and contextmenu');
+    });
+    
+    await test('hover success', async () => {
+      await findTool(tools, 'evaluate').handler({
+        script: `const menu = document.createElement('div'); menu.id = 'test-hover'; menu.textContent = 'Menu';
+          menu.onmouseenter = () => { menu.dataset.hovered = 'yes'; };
+          document.body.prepend(menu);`
+      });
+      const result = await findTool(tools, 'hover').handler({ selector: '#test-hover' });
+      assert(result.success === true, 'Should hover successfully');
+      const hovered = await findTool(tools, 'evaluate').handler({ script: `document.querySelector('#test-hover').dataset.hovered` });
+      assert(hovered.data.result === 'yes', 'Should fire mouseenter');
+    });
+    
+    await test('drag_and_drop success', async () => {
+      await findTool(tools, 'evaluate').handler({
+        script: `const source = document.createElement('div'); source.id = 'test-drag'; source.draggable = true; source.textContent = 'Drag me';
+          source.ondragstart = (event) => event.dataTransfer.setData('text/plain', 'dragged');
+          const target = document.createElement('div'); target.id = 'test-drop'; target.textContent = 'Drop here';
+          target.ondragover = (event) => event.preventDefault();
+          target.ondrop = (event) => { event.preventDefault(); target.textContent = event.dataTransfer.getData('text/plain'); };
+          document.body.prepend(source, target);`
+      });
+      const result = await findTool(tools, 'drag_and_drop').handler({ sourceSelector: '#test-drag', targetSelector: '#test-drop' });
+      assert(result.success === true, 'Should drag and drop successfully');
+      const text = await findTool(tools, 'get_text').handler({ selector: '#test-drop' });
+      assert(text.data.text === 'dragged', 'Should drop on target');
+    });
+    
+    await test('press_key and type_sequentially success', async () => {
+      await injectInteractiveElements(tools);
+      await findTool(tools, 'evaluate').handler({
+        script: `const input = document.querySelector('#test-input'); input.dataset.keys = '0';
+          input.onkeydown = () => { input.dataset.keys = String(Number(input.dataset.keys) + 1); };`
+      });
+      const typed = await findTool(tools, 'type_sequentially').handler({ selector: '#test-input', text: 'abc', delay: 10, clear: true });
+      assert(typed.success === true, 'Should type sequentially successfully');
+      const pressed = await findTool(tools, 'press_key').handler({ selector: '#test-input', key: 'Shift+ArrowLeft' });
+      assert(pressed.success === true, 'Should press key chord successfully');
+      const keys = await findTool(tools, 'evaluate').handler({ script: `document.querySelector('#test-input').dataset.keys` });
+      assert(keys.data.result === '5', 'Should fire a keydown for every key, including modifiers');
+    });
+    
+    await test('scroll success', async () => {
+      await findTool(tools, 'evaluate').handler({ script: `document.body.style.height = '5000px'` });
+      const result = await findTool(tools, 'scroll').handler({ y: 400 });
+      assert(result.success === true, 'Should scroll successfully');
+      assert(result.data.scrollY === 400, 'Should scroll the page by the offset');
+      const intoView = await findTool(tools, 'scroll').handler({ selector: '#test-button' });
+      assert(intoView.success === true, 'Should scroll element into view');
+    });
+    
+    // File Tools
+    await test('upload_files success', async () => {
+      const uploadPath = join(tempDir, 'upload.txt');
+      writeFileSync(uploadPath, 'hello');
+      await findTool(tools, 'evaluate').handler({
+        script: `const file = document.createElement('input'); file.type = 'file'; file.id = 'test-file'; document.body.appendChild(file);`
+      });
+      const result = await findTool(tools, 'upload_files').handler({ selector: '#test-file', files: [uploadPath] });
+      assert(result.success === true, 'Should upload files successfully');
+      const name = await findTool(tools, 'evaluate').handler({ script: `document.querySelector('#test-file').files[0].name` });
+      assert(name.data.result === 'upload.txt', 'Should set file on input');
+    });
+    
+    await test('downloads_list success', async () => {
+      const downloadsDir = join(tempDir, 'downloads');
+      sessions.get().config.downloadsDir = downloadsDir;
+      await findTool(tools, 'evaluate').handler({
+        script: `const link = document.createElement('a'); link.id = 'test-download'; link.download = 'report.csv'; link.href = 'data:text/csv,a,b'; link.textContent = 'Download'; document.body.appendChild(link);`
+      });
+      await findTool(tools, 'click').handler({ selector: '#test-download' });
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const result = await findTool(tools, 'downloads_list').handler({ timeout: 5000 });
+      assert(result.success === true, 'Should list downloads successfully');
+      const download = result.data.downloads[0];
+      assert(download && download.status === 'completed', 'Should complete download');
+      assert(download.suggestedFilename === 'report.csv' && download.path.startsWith(downloadsDir), 'Should save to downloads directory');
+      assert(download.size === 3, 'Should report file size');
+    });
+    
     // Information Tools
     await test('snapshot success', async () => {
       await injectInteractiveElements(tools);
@@ -304,12 +866,124 @@ async function testPlaywrightTools() {
       assert(result.success === true, 'Should get snapshot successfully');
       assert(Array.isArray(result.data.elements), 'Should return elements array');
       assert(result.data.elements.length > 0, 'Should find at least one element');
+      assert(Array.isArray(result.data.tree), 'Should return accessibility tree');
+    });
+    
+    await test('snapshot refs are stable', async () => {
+      const tool = findTool(tools, 'snapshot');
+      const first = await tool.handler({});
+      const second = await tool.handler({});
+      const button = first.data.elements.find(el => el.role === 'button' && el.name === 'Test Button');
+      assert(button && button.ref, 'Should give button a ref');
+      assert(second.data.elements.some(el => el.ref === button.ref && el.name === 'Test Button'), 'Should keep ref across snapshots');
+    });
+    
+    await test('click and get_text by ref', async () => {
+      const snapshot = await findTool(tools, 'snapshot').handler({});
+      const button = snapshot.data.elements.find(el => el.name === 'Test Button');
+      const click = await findTool(tools, 'click').handler({ ref: button.ref });
+      assert(click.success === true, 'Should click by ref');
+      const text = await findTool(tools, 'get_text').handler({ ref: button.ref });
+      assert(text.data.text === 'Test Button', 'Should get text by ref');
+    });
+    
+    await test('type by ref', async () => {
+      const snapshot = await findTool(tools, 'snapshot').handler({});
+      const input = snapshot.data.elements.find(el => el.role === 'textbox' && el.name === 'Test Input');
+      const result = await findTool(tools, 'type').handler({ ref: input.ref, text: 'by ref' });
+      assert(result.success === true, 'Should type by ref');
+    });
+    
+    await test('snapshot includes iframes', async () => {
+      await findTool(tools, 'evaluate').handler({
+        script: `const frame = document.createElement('iframe'); frame.id = 'test-frame'; frame.name = 'test-frame'; frame.srcdoc = '<button id="frame-button" onclick="this.textContent = \\'Clicked\\'">Frame Button</button>'; document.body.appendChild(frame);`
+      });
+      await findTool(tools, 'wait_for').handler({ frame: ['#test-frame'], selector: '#frame-button', timeout: TEST_TIMEOUT });
+      const result = await findTool(tools, 'snapshot').handler({});
+      const frame = result.data.frames.find(f => f.name === 'test-frame');
+      assert(frame && frame.id, 'Should list the iframe');
+      const button = result.data.elements.find(el => el.name === 'Frame Button');
+      assert(button && button.frame === frame.id && button.ref.startsWith(frame.id), 'Should prefix refs with the frame id');
+    });
+    
+    await test('click and get_text in iframe', async () => {
+      const snapshot = await findTool(tools, 'snapshot').handler({});
+      const button = snapshot.data.elements.find(el => el.name === 'Frame Button');
+      const click = await findTool(tools, 'click').handler({ ref: button.ref });
+      assert(click.success === true, 'Should click by frame ref');
+      const text = await findTool(tools, 'get_text').handler({ frame: 'test-frame', selector: '#frame-button' });
+      assert(text.data.text === 'Clicked', 'Should get text by frame name');
+      const recorded = await findTool(tools, 'recorded_actions').handler({});
+      const action = recorded.data.actions[recorded.data.actions.length - 1];
+      assert(action.args.selector === '#frame-button' && action.args.frame[0] === '#test-frame', 'Should record the iframe selector chain');
+    });
+    
+    await test('unknown frame fails fast', async () => {
+      const started = Date.now();
+      try {
+        await findTool(tools, 'get_text').handler({ frame: 'no-such-frame', selector: '#frame-button' });
+        assert(false, 'Should fail for an unknown frame');
+      } catch (error) {
+        assert(error.code === 'INVALID_ARGUMENT' && error.argument === 'frame', 'Should reject the frame');
+      }
+      assert(Date.now() - started < 5000, 'Should not wait for the frame');
     });
     
     await test('screenshot success', async () => {
       const tool = findTool(tools, 'screenshot');
       const result = await tool.handler({});
       assert(result.success === true, 'Should take screenshot successfully');
+      const [image] = result.attachments;
+      assert(image && image.type === 'image' && image.mimeType === 'image/png', 'Should return an image block');
+      assert(Buffer.from(image.data, 'base64').subarray(1, 4).toString() === 'PNG', 'Should return base64 PNG data');
+    });
+    
+    await test('screenshot of an element as JPEG', async () => {
+      const filename = join(tempDir, 'element.jpg');
+      const tool = findTool(tools, 'screenshot');
+      const result = await tool.handler({ selector: 'body', filename, quality: 50, scale: 'css' });
+      assert(result.success === true && result.data.mimeType === 'image/jpeg', 'Should capture JPEG from the filename');
+      assert(existsSync(filename), 'Should save the screenshot');
+      const fullPage = await tool.handler({ fullPage: true, includeImage: false, filename: join(tempDir, 'full.png') });
+      assert(fullPage.attachments.length === 0, 'Should leave out the image when asked');
+    });
+    
+    await test('compare_screenshot success', async () => {
+      sessions.get().config.baselinesDir = join(tempDir, 'baselines');
+      const tool = findTool(tools, 'compare_screenshot');
+      const created = await tool.handler({ name: 'home' });
+      assert(created.success === true && created.data.baselineUpdated === true, 'Should create missing baseline');
+      const same = await tool.handler({ name: 'home' });
+      assert(same.data.passed === true && same.data.mismatchPercentage === 0, 'Should match unchanged page');
+      assert(existsSync(same.data.diff), 'Should write diff image');
+      await findTool(tools, 'evaluate').handler({ script: `document.body.style.background = 'rgb(255, 0, 0)'` });
+      const changed = await tool.handler({ name: 'home' });
+      assert(changed.success === false, 'Should fail on a mismatch');
+      assert(changed.data.passed === false && changed.data.mismatchPercentage > 0, 'Should report changed pixels');
+      assert(existsSync(changed.data.actual), 'Should keep the failing screenshot');
+      const ignored = await tool.handler({ name: 'home', ignoreRegions: [{ x: 0, y: 0, width: 1280, height: 720 }] });
+      assert(ignored.success === true && ignored.data.passed === true, 'Should skip ignored regions');
+      await findTool(tools, 'evaluate').handler({ script: `document.body.style.background = ''` });
+    });
+    
+    await test('audit_accessibility success', async () => {
+      await findTool(tools, 'evaluate').handler({
+        script: `const section = document.createElement('section'); section.id = 'test-a11y';
+          section.innerHTML = '<h2>Title</h2><h4>Skipped level</h4><img src="data:image/gif;base64,R0lGODlhAQABAAAAACw="><input id="dup" type="text"><span id="dup"></span>'
+            + '<p style="color: #bbb; background: #fff">Low contrast</p><div role="buton">Bad role</div><div aria-labeledby="x">Typo</div>';
+          document.body.appendChild(section);`
+      });
+      const tool = findTool(tools, 'audit_accessibility');
+      const result = await tool.handler({ selector: '#test-a11y' });
+      assert(result.success === true, 'Should audit successfully');
+      const found = new Set(result.data.violations.map(v => v.ruleId));
+      for (const rule of ['image-alt', 'label', 'heading-order', 'duplicate-id', 'color-contrast', 'aria-valid-role', 'aria-valid-attr']) {
+        assert(found.has(rule), `Should report ${rule}`);
+      }
+      const violation = result.data.violations[0];
+      assert(violation.severity === 'critical' && violation.ref && violation.selector && violation.hint, 'Should describe violations');
+      const filtered = await tool.handler({ selector: '#test-a11y', rules: ['image-alt'] });
+      assert(filtered.data.violations.every(v => v.ruleId === 'image-alt'), 'Should only run requested rules');
     });
     
     await test('get_text success', async () => {
@@ -332,6 +1006,312 @@ async function testPlaywrightTools() {
       assert(typeof result.data.title === 'string', 'Should return title string');
     });
     
+    // Network Tools
+    await test('route_add fulfill success', async () => {
+      const tool = findTool(tools, 'route_add');
+      const result = await tool.handler({ url: '**/mocked', status: 503, body: 'Service Unavailable' });
+      assert(result.success === true, 'Should add route successfully');
+      const status = await findTool(tools, 'evaluate').handler({ script: `fetch('${TEST_URL}/mocked').then(r => r.status)` });
+      assert(status.data.result === 503, 'Should return mocked status');
+    });
+    
+    await test('route_add abort success', async () => {
+      const tool = findTool(tools, 'route_add');
+      const result = await tool.handler({ url: 'aborted$', regex: true, action: 'abort' });
+      assert(result.success === true, 'Should add route successfully');
+      const outcome = await findTool(tools, 'evaluate').handler({ script: `fetch('${TEST_URL}/aborted').then(() => 'ok', () => 'failed')` });
+      assert(outcome.data.result === 'failed', 'Should abort request');
+    });
+    
+    await test('route_list success', async () => {
+      const tool = findTool(tools, 'route_list');
+      const result = await tool.handler({});
+      assert(result.success === true, 'Should list routes successfully');
+      assert(result.data.routes.length === 2, 'Should list both routes');
+      assert(result.data.routes[0].hits === 1, 'Should count route hits');
+    });
+    
+    await test('route_remove success', async () => {
+      const tool = findTool(tools, 'route_remove');
+      const result = await tool.handler({});
+      assert(result.success === true, 'Should remove routes successfully');
+      const routes = await findTool(tools, 'route_list').handler({});
+      assert(routes.data.routes.length === 0, 'Should have no routes left');
+    });
+    
+    await test('network_requests success', async () => {
+      await findTool(tools, 'navigate').handler({ url: TEST_URL });
+      const tool = findTool(tools, 'network_requests');
+      const result = await tool.handler({ resourceType: 'document' });
+      assert(result.success === true, 'Should list requests successfully');
+      assert(result.data.requests.some(r => r.url.startsWith(TEST_URL) && r.status === 200), 'Should log document request');
+    });
+    
+    await test('network_requests failedOnly', async () => {
+      await findTool(tools, 'route_add').handler({ url: '**/missing-page', status: 404 });
+      await findTool(tools, 'evaluate').handler({ script: `fetch('${TEST_URL}/missing-page').then(r => r.status)` });
+      const tool = findTool(tools, 'network_requests');
+      const result = await tool.handler({ failedOnly: true, url: 'missing-page' });
+      assert(result.data.requests.length === 1, 'Should find failed request');
+      await findTool(tools, 'route_remove').handler({});
+    });
+    
+    await test('network_export_har success', async () => {
+      const tool = findTool(tools, 'network_export_har');
+      const result = await tool.handler({ filename: join(tempDir, 'session.har') });
+      assert(result.success === true, 'Should export HAR successfully');
+      const har = JSON.parse(readFileSync(result.data.path, 'utf8'));
+      assert(har.log.version === '1.2', 'Should write HAR 1.2');
+      assert(har.log.entries.length === result.data.entries, 'Should include all logged requests');
+    });
+    
+    // Console Tools
+    await test('console_messages success', async () => {
+      await findTool(tools, 'evaluate').handler({ script: 'console.warn("zypin warning"); console.error("zypin error")' });
+      const tool = findTool(tools, 'console_messages');
+      const result = await tool.handler({ level: 'warning', sinceLastCall: true });
+      assert(result.success === true, 'Should get console messages successfully');
+      assert(result.data.messages.length === 2, 'Should return warning and error');
+      const again = await tool.handler({ sinceLastCall: true });
+      assert(again.data.messages.length === 0, 'Should not repeat messages since last call');
+    });
+    
+    await test('page errors appended to results', async () => {
+      const result = await findTool(tools, 'evaluate').handler({ script: 'setTimeout(() => { throw new Error("zypin boom"); }); new Promise(r => setTimeout(r, 50))' });
+      assert(result.newConsoleErrors.some(e => e.includes('zypin boom')), 'Should report uncaught page error');
+    });
+    
+    // Storage Tools
+    await test('cookies_set and cookies_get success', async () => {
+      const result = await findTool(tools, 'cookies_set').handler({ cookies: [{ name: 'token', value: 'abc', url: TEST_URL }] });
+      assert(result.success === true, 'Should set cookies successfully');
+      const cookies = await findTool(tools, 'cookies_get').handler({ urls: [TEST_URL] });
+      assert(cookies.data.cookies.some(c => c.name === 'token' && c.value === 'abc'), 'Should read cookie back');
+    });
+    
+    await test('storage_set and storage_get success', async () => {
+      const result = await findTool(tools, 'storage_set').handler({ type: 'local', key: 'cart', value: '3' });
+      assert(result.success === true, 'Should set storage successfully');
+      const value = await findTool(tools, 'storage_get').handler({ type: 'local', key: 'cart' });
+      assert(value.data.value === '3', 'Should read storage back');
+    });
+    
+    await test('storage_state_save and storage_state_load success', async () => {
+      const statePath = join(tempDir, 'state.json');
+      const saved = await findTool(tools, 'storage_state_save').handler({ filename: statePath });
+      assert(saved.success === true, 'Should save storage state successfully');
+      await findTool(tools, 'cookies_clear').handler({});
+      const loaded = await findTool(tools, 'storage_state_load').handler({ filename: statePath, url: TEST_URL });
+      assert(loaded.success === true, 'Should load storage state successfully');
+      const cookies = await findTool(tools, 'cookies_get').handler({});
+      assert(cookies.data.cookies.some(c => c.name === 'token'), 'Should restore cookies');
+      const value = await findTool(tools, 'storage_get').handler({ type: 'local', key: 'cart' });
+      assert(value.data.value === '3', 'Should restore localStorage');
+    });
+    
+    await test('cookies_clear and storage_clear success', async () => {
+      const cleared = await findTool(tools, 'cookies_clear').handler({ name: 'token' });
+      assert(cleared.success === true, 'Should clear cookies successfully');
+      const result = await findTool(tools, 'storage_clear').handler({ type: 'local' });
+      assert(result.success === true, 'Should clear storage successfully');
+      const entries = await findTool(tools, 'storage_get').handler({ type: 'local' });
+      assert(Object.keys(entries.data.entries).length === 0, 'Should have no storage left');
+    });
+    
+    // Assertion Tools
+    await test('expect_visible and expect_text success', async () => {
+      await findTool(tools, 'navigate').handler({ url: TEST_URL });
+      await injectInteractiveElements(tools);
+      const visible = await findTool(tools, 'expect_visible').handler({ selector: '#test-button' });
+      assert(visible.success === true && visible.data.passed === true, 'Should pass for a visible element');
+      await findTool(tools, 'evaluate').handler({
+        script: `setTimeout(() => { document.querySelector('#test-button').textContent = 'Saved'; }, 300)`
+      });
+      const text = await findTool(tools, 'expect_text').handler({ selector: '#test-button', text: 'Saved', exact: true, timeout: TEST_TIMEOUT });
+      assert(text.success === true && text.data.actual === 'Saved', 'Should retry until the text appears');
+    });
+    
+    await test('expect_text failure', async () => {
+      const result = await findTool(tools, 'expect_text').handler({ selector: '#test-button', text: 'Never', timeout: 300 });
+      assert(result.success === false && result.data.passed === false, 'Should fail after the timeout');
+      assert(result.data.expected === 'Never' && result.data.actual === 'Saved', 'Should report expected and actual');
+    });
+    
+    await test('expect fails fast on errors retrying cannot fix', async () => {
+      const started = Date.now();
+      const failures = [];
+      for (const args of [{ selector: '#test-button', frame: 'no-such-frame' }, { selector: '#test-button[' }]) {
+        await findTool(tools, 'expect_visible').handler({ ...args, timeout: TEST_TIMEOUT }).catch(error => failures.push(error.code));
+      }
+      assert(failures[0] === 'INVALID_ARGUMENT', 'Should reject the unknown frame');
+      assert(failures[1] === 'TOOL_FAILED', 'Should report the broken selector');
+      assert(Date.now() - started < TEST_TIMEOUT, 'Should not wait for the timeout');
+    });
+    
+    await test('expect_count, expect_url and expect_title success', async () => {
+      const count = await findTool(tools, 'expect_count').handler({ selector: '#test-button', count: 1 });
+      assert(count.success === true, 'Should count matching elements');
+      const url = await findTool(tools, 'expect_url').handler({ url: '^https?://', regex: true });
+      assert(url.success === true, 'Should match URL by regex');
+      const title = await findTool(tools, 'get_title').handler({});
+      const expectTitle = await findTool(tools, 'expect_title').handler({ title: title.data.title, exact: true });
+      assert(expectTitle.success === true, 'Should match title');
+    });
+    
+    await test('assertion_results success', async () => {
+      const resultsPath = join(tempDir, 'assertions.json');
+      const result = await findTool(tools, 'assertion_results').handler({ filename: resultsPath, clear: true });
+      assert(result.success === true, 'Should get assertion results successfully');
+      assert(result.data.failed >= 1 && result.data.passed >= 4, 'Should tally passed and failed assertions');
+      assert(JSON.parse(readFileSync(resultsPath, 'utf8')).total === result.data.total, 'Should write the tally');
+      const cleared = await findTool(tools, 'assertion_results').handler({});
+      assert(cleared.data.total === 0, 'Should clear the tally');
+    });
+    
+    // Recorder Tools
+    await test('recorded_actions success', async () => {
+      const tool = findTool(tools, 'recorded_actions');
+      const result = await tool.handler({});
+      assert(result.success === true, 'Should list recorded actions successfully');
+      assert(result.data.actions.some(a => a.tool === 'navigate'), 'Should record navigate');
+      assert(!result.data.actions.some(a => a.tool === 'snapshot'), 'Should skip read-only tools');
+      assert(result.data.actions.every(a => !a.args.ref), 'Should replace refs with selectors');
+    });
+    
+    await test('generate_test basic-webdriver success', async () => {
+      const tool = findTool(tools, 'generate_test');
+      const result = await tool.handler({ template: VALID_TEMPLATE, name: 'Recorded flow', outputDir: tempDir });
+      assert(result.success === true, 'Should generate test successfully');
+      assert(existsSync(result.data.files[0].path), 'Should write test file');
+      assert(result.data.files[0].content.includes(`driver.get("${TEST_URL}")`), 'Should replay navigation');
+    });
+    
+    await test('generate_test cucumber-bdd success', async () => {
+      const tool = findTool(tools, 'generate_test');
+      const result = await tool.handler({ template: CUCUMBER_TEMPLATE, name: 'Recorded flow', clear: true });
+      assert(result.success === true, 'Should generate test successfully');
+      assert(result.data.files.length === 2, 'Should return feature and step definitions');
+      assert(result.data.files[0].content.includes(`Given I open "${TEST_URL}"`), 'Should write Gherkin steps');
+      const [feature, steps] = generateTest([
+        { tool: 'expect_visible', args: { selector: '#slow', timeout: 12000 } },
+        { tool: 'wait_for', args: { selector: '#fast', timeout: 5000 } }
+      ], { template: CUCUMBER_TEMPLATE, name: 'Timeouts' });
+      assert(feature.content.includes('"#slow" should be visible within 12000 ms'), 'Should keep the recorded timeout');
+      assert(steps.content.includes('"{string} should be visible within {int} ms"') && steps.content.includes(', timeout);'), 'Should wait for the step timeout');
+    });
+    
+    await test('generate_test select by value', async () => {
+      const actions = [{ tool: 'select', args: { selector: '#size', value: 'x"]' } }];
+      const [webdriver] = generateTest(actions, { template: VALID_TEMPLATE, name: 'Select' });
+      assert(webdriver.content.includes('await new Select(await driver.findElement(By.css("#size"))).selectByValue("x\\"]");'), 'Should select the quoted value');
+      const [feature, steps] = generateTest(actions, { template: CUCUMBER_TEMPLATE, name: 'Select' });
+      assert(feature.content.includes('When I select "x\\"]" in "#size"'), 'Should quote the value in the step');
+      assert(steps.content.includes('.selectByValue(value);'), 'Should select the value in the step definition');
+    });
+    
+    await test('generate_test cucumber-bdd shares step definitions', async () => {
+      const outputDir = join(tempDir, 'cucumber-project');
+      const first = generateTest([{ tool: 'click', args: { selector: '#a' } }], { template: CUCUMBER_TEMPLATE, name: 'First', outputDir });
+      const second = generateTest([
+        { tool: 'click', args: { selector: '#b' } },
+        { tool: 'press_key', args: { key: 'Enter' } }
+      ], { template: CUCUMBER_TEMPLATE, name: 'Second', outputDir });
+      assert(first[1].path === second[1].path, 'Should write one step definitions file');
+      const steps = readFileSync(second[1].path, 'utf8');
+      assert(steps.split('When("I click {string}"').length === 2, 'Should define each pattern once');
+      assert(steps.includes('When("I press {string}"') && steps.includes('function toKeys('), 'Should add the new steps');
+    });
+    
+    // Tracing Tools
+    await test('trace_start and trace_stop success', async () => {
+      const started = await findTool(tools, 'trace_start').handler({ name: 'test-trace' });
+      assert(started.success === true, 'Should start tracing successfully');
+      await findTool(tools, 'navigate').handler({ url: TEST_URL });
+      const tracePath = join(tempDir, 'trace.zip');
+      const stopped = await findTool(tools, 'trace_stop').handler({ filename: tracePath });
+      assert(stopped.success === true && stopped.data.path === tracePath, 'Should report the trace path');
+      assert(existsSync(tracePath), 'Should write the trace zip');
+    });
+    
+    await test('video recording on close', async () => {
+      sessions.create('video', { recordVideo: true, videosDir: join(tempDir, 'videos') });
+      await findTool(tools, 'navigate').handler({ url: TEST_URL, session: 'video' });
+      const result = await findTool(tools, 'session_close').handler({ name: 'video' });
+      assert(result.success === true && result.data.videos.length === 1, 'Should report the video path');
+      assert(existsSync(result.data.videos[0]), 'Should finish the video file');
+    });
+    
+    // Emulation Tools
+    await test('emulate media and geolocation', async () => {
+      const tool = findTool(tools, 'emulate');
+      sessions.create('emulated');
+      await findTool(tools, 'navigate').handler({ url: TEST_URL, session: 'emulated' });
+      const result = await tool.handler({ colorScheme: 'dark', geolocation: { latitude: 48.85, longitude: 2.35 }, session: 'emulated' });
+      assert(result.success === true && result.data.recreatedContext === false, 'Should apply media and geolocation live');
+      const dark = await findTool(tools, 'evaluate').handler({ script: 'matchMedia("(prefers-color-scheme: dark)").matches', session: 'emulated' });
+      assert(dark.data.result === true, 'Should emulate dark mode');
+    });
+    
+    await test('emulate device keeps state', async () => {
+      await findTool(tools, 'evaluate').handler({ script: 'localStorage.setItem("kept", "yes")', session: 'emulated' });
+      const result = await findTool(tools, 'emulate').handler({ device: 'iPhone 13', timezone: 'Asia/Tokyo', session: 'emulated' });
+      assert(result.success === true && result.data.recreatedContext === true, 'Should recreate the context');
+      assert(result.data.viewport.width === 390, 'Should use the device viewport');
+      const state = await findTool(tools, 'evaluate').handler({
+        script: '[location.href, localStorage.getItem("kept"), Intl.DateTimeFormat().resolvedOptions().timeZone]',
+        session: 'emulated'
+      });
+      assert(state.data.result[0].startsWith(TEST_URL) && state.data.result[1] === 'yes', 'Should keep URL and storage');
+      assert(state.data.result[2] === 'Asia/Tokyo', 'Should emulate the timezone');
+    });
+    
+    await test('emulate unknown device', async () => {
+      try {
+        await findTool(tools, 'emulate').handler({ device: 'Nokia 3310', session: 'emulated' });
+        assert(false, 'Should fail for an unknown device');
+      } catch (error) {
+        assert(error.code === 'INVALID_ARGUMENT' && error.argument === 'device', 'Should reject the device');
+        assert(error.message.includes('Unknown device "Nokia 3310"'), 'Should name the unknown device');
+      } finally {
+        await findTool(tools, 'session_close').handler({ name: 'emulated' });
+      }
+    });
+    
+    await test('browser crash recovery', async () => {
+      const browser = sessions.create('crashy');
+      await findTool(tools, 'navigate').handler({ url: TEST_URL, session: 'crashy' });
+      // Simulate a crash by closing the browser behind the session's back
+      await browser.browser.close();
+      assert(browser.unhealthy !== null, 'Should notice the disconnect');
+      const result = await findTool(tools, 'get_url').handler({ session: 'crashy' });
+      assert(result.success === true && result.recovered.relaunchedBrowser === true, 'Should report the recovery');
+      assert(result.data.url.startsWith(TEST_URL), 'Should restore the last URL');
+      const next = await findTool(tools, 'get_url').handler({ session: 'crashy' });
+      assert(next.recovered === undefined, 'Should report a recovery only once');
+      await browser.browser.close();
+      try {
+        await findTool(tools, 'click').handler({ selector: '#missing', session: 'crashy' });
+        assert(false, 'Should fail to click');
+      } catch (error) {
+        assert(error.recovered && error.recovered.relaunchedBrowser === true, 'Should report the recovery with the failure');
+      }
+      assert(browser.takeRecovery() === null, 'Should not report the recovery again');
+      await findTool(tools, 'session_close').handler({ name: 'crashy' });
+    });
+    
+    await test('failed launch resets the session', async () => {
+      const browser = sessions.create('bad-device', { emulation: { device: 'Nokia 3310' } });
+      try {
+        await browser.launch();
+        assert(false, 'Should fail to launch');
+      } catch (error) {
+        assert(error.code === 'INVALID_ARGUMENT' && error.argument === 'device', 'Should keep the error code');
+        assert(browser.browser === null && browser.page === null, 'Should not leave a half-launched browser');
+      } finally {
+        await findTool(tools, 'session_close').handler({ name: 'bad-device' });
+      }
+    });
+    
     // Utility Tools
     await test('wait_for success', async () => {
       const tool = findTool(tools, 'wait_for');
@@ -345,8 +1325,35 @@ async function testPlaywrightTools() {
       assert(result.success === true, 'Should evaluate successfully');
     });
     
+    // Session Tools
+    await test('session_create success', async () => {
+      const tool = findTool(tools, 'session_create');
+      const result = await tool.handler({ name: 'admin', width: 1024, height: 768 });
+      assert(result.success === true, 'Should create session successfully');
+    });
+    
+    await test('session isolation', async () => {
+      await findTool(tools, 'navigate').handler({ url: TEST_URL, session: 'admin' });
+      await findTool(tools, 'evaluate').handler({ script: 'localStorage.setItem("role", "admin")', session: 'admin' });
+      const result = await findTool(tools, 'evaluate').handler({ script: 'localStorage.getItem("role")' });
+      assert(result.data.result === null, 'Default session should not see admin storage');
+    });
+    
+    await test('session_list success', async () => {
+      const tool = findTool(tools, 'session_list');
+      const result = await tool.handler({});
+      assert(result.success === true, 'Should list sessions successfully');
+      assert(result.data.sessions.some(s => s.name === 'admin'), 'Should include admin session');
+    });
+    
+    await test('session_close success', async () => {
+      const tool = findTool(tools, 'session_close');
+      const result = await tool.handler({ name: 'admin' });
+      assert(result.success === true, 'Should close session successfully');
+    });
+    
   } finally {
-    await browser.close();
+    await sessions.closeAll();
   }
 }
 
@@ -361,6 +1368,18 @@ async function runAllTests() {
     // Run core tools tests
     await testCoreTools();
     
+    // Run config tests
+    await testConfig();
+    
+    // Run tool call tests
+    await testToolCalls();
+    
+    // Run HTTP transport tests
+    await testHttpTransport();
+    
+    // Run plugin tests
+    await testPlugins();
+    
     // Run Playwright tools tests
     await testPlaywrightTools();
     
@@ -0,0 +1,152 @@
+/**
+ * Tool calls for Zypin MCP
+ * Validates arguments against a tool's inputSchema, applies schema defaults, and turns
+ * every failure into a ToolError with a code clients can act on
+ *
+ * TODO:
+ * - Suggest the closest tool name for unknown tools
+ * - Coerce numeric strings for number arguments
+ */
+
+import { validateSchema } from './validate.js';
+
+export const ERROR_CODES = [
+  'INVALID_ARGUMENT',
+  'UNKNOWN_TOOL',
+  'ELEMENT_NOT_FOUND',
+  'TIMEOUT',
+  'NAVIGATION_FAILED',
+  'BROWSER_CLOSED',
+  'TOOL_FAILED'
+];
+
+export class ToolError extends Error {
+  /**
+   * code is one of ERROR_CODES; argument names the argument that failed, if any.
+   * diagnostics describe the page at the time of failure (see SimpleBrowser.diagnoseTarget);
+   * recovered describes a browser recovered before the call (see SimpleBrowser.recover).
+   */
+  constructor(code, message, { argument, details, diagnostics, recovered, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ToolError';
+    this.code = code;
+    this.argument = argument;
+    this.details = details;
+    this.diagnostics = diagnostics;
+    this.recovered = recovered;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.argument !== undefined && { argument: this.argument }),
+      ...(this.details !== undefined && { details: this.details }),
+      ...(this.diagnostics !== undefined && { diagnostics: this.diagnostics }),
+      ...(this.recovered !== undefined && { recovered: this.recovered })
+    };
+  }
+}
+
+// Playwright's messages for a page, context or browser that is gone
+const CLOSED_PATTERN = /Target (page, context or browser )?(has been )?closed|Target crashed|Browser has been closed|browser has disconnected/i;
+
+/**
+ * Classify an error thrown by a tool handler.
+ */
+export function toToolError(error) {
+  if (error instanceof ToolError) {
+    return error;
+  }
+  const message = error?.message || String(error);
+  let code = 'TOOL_FAILED';
+  if (error?.name === 'TargetClosedError' || CLOSED_PATTERN.test(message)) {
+    code = 'BROWSER_CLOSED';
+  } else if (error?.name === 'TimeoutError') {
+    // Playwright's call log says "locator resolved to ..." once the element exists
+    code = /waiting for (locator|selector)/.test(message) && !/resolved to/.test(message) ? 'ELEMENT_NOT_FOUND' : 'TIMEOUT';
+  }
+  return new ToolError(code, message, { cause: error });
+}
+
+/**
+ * Fill in `default` values from the schema for properties that are missing, recursively.
+ * Returns a new value; the input is not changed.
+ */
+export function applyDefaults(schema, value) {
+  if (Array.isArray(value)) {
+    return schema.items ? value.map(item => applyDefaults(schema.items, item)) : value;
+  }
+  if (!value || typeof value !== 'object' || !schema.properties) {
+    return value;
+  }
+  const result = { ...value };
+  for (const [key, property] of Object.entries(schema.properties)) {
+    if (result[key] === undefined && property.default !== undefined) {
+      result[key] = structuredClone(property.default);
+    } else if (result[key] !== undefined) {
+      result[key] = applyDefaults(property, result[key]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate a tool call's arguments and apply defaults.
+ * tool.requiredOneOf lists groups of arguments of which at least one must be given.
+ * Throws an INVALID_ARGUMENT ToolError naming the first argument that failed.
+ */
+export function prepareArguments(tool, args = {}) {
+  if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+    throw new ToolError('INVALID_ARGUMENT', `Arguments for ${tool.name} must be an object`);
+  }
+  const prepared = applyDefaults(tool.inputSchema, args);
+  const errors = validateSchema(tool.inputSchema, prepared);
+  if (errors.length > 0) {
+    const [first] = errors;
+    const message = errors.map(({ path, message }) => `"${path}" ${message}`).join('; ');
+    throw new ToolError('INVALID_ARGUMENT', `Invalid arguments for ${tool.name}: ${message}`, {
+      argument: first.path,
+      details: errors
+    });
+  }
+  // Alternatives such as selector, ref or locator, where at least one must be given
+  for (const group of tool.requiredOneOf || []) {
+    if (!group.some(key => prepared[key] !== undefined)) {
+      throw new ToolError('INVALID_ARGUMENT', `Invalid arguments for ${tool.name}: one of ${group.join(', ')} is required`, {
+        argument: group[0]
+      });
+    }
+  }
+  return prepared;
+}
+
+/**
+ * Call a tool by name with validated arguments.
+ * Returns the tool result, or throws a ToolError for unknown tools, invalid arguments and failures.
+ */
+export async function callTool(tools, name, args = {}) {
+  const tool = tools.find(t => t.name === name);
+  if (!tool) {
+    throw new ToolError('UNKNOWN_TOOL', `Unknown tool: ${name}`);
+  }
+
+  const prepared = prepareArguments(tool, args);
+  try {
+    return await tool.handler(prepared);
+  } catch (error) {
+    const toolError = toToolError(error);
+    // Point a missing element at the argument that selected it
+    if (toolError.code === 'ELEMENT_NOT_FOUND' && toolError.argument === undefined) {
+      toolError.argument = ['selector', 'ref', 'locator'].find(key => prepared[key] !== undefined);
+    }
+    throw toolError;
+  }
+}
+
+/**
+ * Turn any error into the result returned to MCP clients.
+ */
+export function toErrorResult(error) {
+  return { success: false, error: toToolError(error).toJSON() };
+}
@@ -3,19 +3,201 @@
  * Defines all available browser automation tools with their schemas and handlers
  * 
  * TODO:
- * - Add more advanced interaction tools (drag, swipe, hover)
- * - Implement file upload/download tools
- * - Add cookie and storage management tools
- * - Support for iframe navigation
- * - Add accessibility testing tools
- * - Implement screenshot comparison tools
+ * - Add touch gestures (swipe, pinch)
  */
 
-export function createPlaywrightTools(browser) {
-  return [
+import { DEFAULT_SESSION } from './sessions.js';
+import { ToolError, toToolError } from './tool-call.js';
+import { LOCATOR_SCHEMA, describeLocator } from './locators.js';
+import { generateTest, SUPPORTED_TEMPLATES } from './recorder.js';
+import { AUDIT_RULES } from './page-scripts.js';
+import { DEFAULT_EXPECT_TIMEOUT, matchText } from './assertions.js';
+import { COLOR_SCHEMES, REDUCED_MOTION, GEOLOCATION_SCHEMA, THROTTLING_PRESETS, THROTTLING_SCHEMA } from './emulation.js';
+
+const REF_PROPERTY = {
+  type: 'string',
+  description: 'Element ref from snapshot (alternative to selector)'
+};
+
+// Tools that act on one element need one of these; see requiredOneOf in tool-call.js
+const TARGET_ARGUMENTS = ['selector', 'ref', 'locator'];
+
+const LOCATOR_PROPERTY = {
+  ...LOCATOR_SCHEMA,
+  description: 'Semantic locator (alternative to selector): one of role (with name), label, text, placeholder, testId or css, ' +
+    'e.g. {"role": "button", "name": "Submit"} or {"label": "Email"}; exact, hasText and nth refine it, ' +
+    'and an array of locators searches each inside the previous one'
+};
+
+const FRAME_PROPERTY = {
+  type: ['string', 'array'],
+  items: { type: 'string' },
+  description: 'Frame to act in: frame id from snapshot, frame name, URL fragment, or a chain of iframe selectors (default: main frame)'
+};
+
+const EXPECT_TIMEOUT_PROPERTY = {
+  type: 'number',
+  minimum: 0,
+  default: DEFAULT_EXPECT_TIMEOUT,
+  description: `How long to keep retrying in milliseconds (default: ${DEFAULT_EXPECT_TIMEOUT})`
+};
+
+const SESSION_PROPERTY = {
+  type: 'string',
+  description: `Browser session to act on (default: "${DEFAULT_SESSION}")`
+};
+
+// Ref and locator arguments and the selector argument that replaces them in recordings
+const REF_ARGUMENTS = {
+  ref: 'selector',
+  sourceRef: 'sourceSelector',
+  targetRef: 'targetSelector',
+  locator: 'selector',
+  sourceLocator: 'sourceSelector',
+  targetLocator: 'targetSelector'
+};
+
+// Tools whose locator means all matches, which no single element's selector can replace
+const COUNTING_TOOLS = new Set(['expect_count']);
+
+/**
+ * Replace snapshot refs, locators and frame ids with selectors that can be replayed outside this session.
+ */
+async function toRecordedArgs(browser, args, tool) {
+  const refKeys = Object.keys(REF_ARGUMENTS).filter(key => args[key] && !(COUNTING_TOOLS.has(tool) && key === 'locator'));
+  // Selector chains are already replayable
+  if (refKeys.length === 0 && (!args.frame || Array.isArray(args.frame))) {
+    return args;
+  }
+  const { frame, ...recorded } = args;
+  try {
+    // A ref identifies its own frame
+    let chain = refKeys.length === 0 ? await browser.stableFrame(frame) : [];
+    for (const key of refKeys) {
+      const stable = await browser.stableSelector(/locator$/i.test(key) ? { locator: args[key], frame } : { ref: args[key] });
+      delete recorded[key];
+      recorded[REF_ARGUMENTS[key]] = stable.selector;
+      chain = stable.frame || [];
+    }
+    return chain.length > 0 ? { ...recorded, frame: chain } : recorded;
+  } catch {
+    // Let the tool itself report the missing ref or frame
+    return args;
+  }
+}
+
+/**
+ * Note a browser recovery in a result or error message.
+ */
+function describeRecovery({ reason, restoredUrl }) {
+  return `(recovered from: ${reason}${restoredUrl ? `, restored ${restoredUrl}` : ''})`;
+}
+
+/**
+ * Name an element target in messages: its selector, ref or locator.
+ */
+function describeTarget({ selector, ref, locator }) {
+  return selector || ref || (locator ? describeLocator(locator) : undefined);
+}
+
+/**
+ * Describe the trace and video files a closed session wrote.
+ */
+function describeArtifacts({ traces, videos }) {
+  const parts = [];
+  if (traces.length > 0) {
+    parts.push(`trace(s): ${traces.join(', ')}`);
+  }
+  if (videos.length > 0) {
+    parts.push(`video(s): ${videos.join(', ')}`);
+  }
+  return parts.length > 0 ? `; saved ${parts.join('; ')}` : '';
+}
+
+/**
+ * Turn an assertion verdict into a tool result; failed assertions are unsuccessful results.
+ */
+function toAssertionResult(verdict, description) {
+  return {
+    success: verdict.passed,
+    data: verdict,
+    message: verdict.passed
+      ? `Passed: ${description}`
+      : `Failed: ${description} (actual: ${JSON.stringify(verdict.actual)} after ${verdict.elapsed}ms)`
+  };
+}
+
+/**
+ * Add the optional `session` argument to a browser tool.
+ * The wrapped handler receives the session's SimpleBrowser as its second argument.
+ * Successful calls are recorded for generate_test, and new page errors are
+ * appended to the result unless disabled in the config. A browser recovered
+ * from a crash before the call is reported in the result, and failures of calls
+ * that target an element carry diagnostics about it.
+ */
+export function withSession(sessions, tool) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, session: SESSION_PROPERTY }
+    },
+    handler: async ({ session, ...args }) => {
+      const browser = sessions.get(session);
+      // Resolve refs before acting, since the element may be gone afterwards
+      const recordedArgs = await toRecordedArgs(browser, args, tool.name);
+      let result;
+      try {
+        result = await tool.handler(args, browser);
+      } catch (error) {
+        // A recovery before the failure is reported with it, not on the next call
+        const recovery = browser.takeRecovery();
+        if (browser.unhealthy) {
+          throw new ToolError('BROWSER_CLOSED', `${error.message} (${browser.unhealthy.reason}; the browser will be recovered on the next call)`, { cause: error, recovered: recovery ?? undefined });
+        }
+        // Tell the client what the page looked like, so it can fix the selector instead of guessing
+        const toolError = toToolError(error);
+        if ((args.selector || args.ref || args.locator) && toolError.code !== 'INVALID_ARGUMENT') {
+          toolError.diagnostics = await browser.diagnoseTarget(
+            { selector: args.selector, ref: args.ref, locator: args.locator, frame: args.frame },
+            { screenshot: Boolean(browser.config.failureScreenshots) }
+          );
+        }
+        if (recovery) {
+          toolError.recovered = recovery;
+          toolError.message = `${toolError.message} ${describeRecovery(recovery)}`;
+        }
+        throw toolError;
+      }
+      // Failed assertions would only make the generated test fail
+      if (result.success !== false) {
+        browser.recorder.record(tool.name, recordedArgs);
+      }
+
+      // The browser died since the previous call and was relaunched before this one
+      const recovery = browser.takeRecovery();
+      if (recovery) {
+        result.recovered = recovery;
+        result.message = `${result.message} ${describeRecovery(recovery)}`;
+      }
+
+      if (browser.config.consoleErrors !== false) {
+        const errors = browser.takeNewErrors();
+        if (errors.length > 0) {
+          result.newConsoleErrors = errors.map(({ source, text }) => `[${source}] ${text}`);
+        }
+      }
+      return result;
+    }
+  };
+}
+
+export function createPlaywrightTools(sessions) {
+  const browserTools = [
     // Navigation Tools
     {
       name: 'navigate',
+      group: 'navigation',
       description: 'Navigate to a URL',
       inputSchema: {
         type: 'object',
@@ -24,101 +206,184 @@ export function createPlaywrightTools(browser) {
         },
         required: ['url']
       },
-      handler: async ({ url }) => {
+      handler: async ({ url }, browser) => {
         await browser.navigate(url);
         return { success: true, message: `Navigated to ${url}` };
       }
     },
     {
       name: 'go_back',
+      group: 'navigation',
       description: 'Go back to the previous page',
       inputSchema: {
         type: 'object',
         properties: {},
         required: []
       },
-      handler: async () => {
+      handler: async (args, browser) => {
         await browser.goBack();
         return { success: true, message: 'Went back to previous page' };
       }
     },
     {
       name: 'go_forward',
+      group: 'navigation',
       description: 'Go forward to the next page',
       inputSchema: {
         type: 'object',
         properties: {},
         required: []
       },
-      handler: async () => {
+      handler: async (args, browser) => {
         await browser.goForward();
         return { success: true, message: 'Went forward to next page' };
       }
     },
     {
       name: 'reload',
+      group: 'navigation',
       description: 'Reload the current page',
       inputSchema: {
         type: 'object',
         properties: {},
         required: []
       },
-      handler: async () => {
+      handler: async (args, browser) => {
         await browser.reload();
         return { success: true, message: 'Page reloaded' };
       }
     },
 
+    // Tab Tools
+    {
+      name: 'tabs_list',
+      group: 'tabs',
+      description: 'List all open browser tabs, including popups opened by the page',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      handler: async (args, browser) => {
+        const tabs = await browser.listTabs();
+        return { success: true, data: { tabs }, message: `${tabs.length} tab(s) open` };
+      }
+    },
+    {
+      name: 'tab_new',
+      group: 'tabs',
+      description: 'Open a new tab and make it the current tab',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'Optional URL to open in the new tab' }
+        },
+        required: []
+      },
+      handler: async ({ url }, browser) => {
+        const index = await browser.newTab(url);
+        return { success: true, data: { index }, message: `Opened tab ${index}${url ? ` at ${url}` : ''}` };
+      }
+    },
+    {
+      name: 'tab_select',
+      group: 'tabs',
+      description: 'Switch to a tab; all other tools act on the current tab',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          index: { type: 'number', description: 'Tab index as returned by tabs_list' }
+        },
+        required: ['index']
+      },
+      handler: async ({ index }, browser) => {
+        await browser.selectTab(index);
+        return { success: true, message: `Switched to tab ${index}` };
+      }
+    },
+    {
+      name: 'tab_close',
+      group: 'tabs',
+      description: 'Close a tab (defaults to the current tab)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          index: { type: 'number', description: 'Tab index as returned by tabs_list' }
+        },
+        required: []
+      },
+      handler: async ({ index }, browser) => {
+        await browser.closeTab(index);
+        return { success: true, message: `Closed tab ${index === undefined ? '(current)' : index}` };
+      }
+    },
+
     // Interaction Tools
     {
       name: 'click',
+      group: 'interaction',
+      requiredOneOf: [TARGET_ARGUMENTS],
       description: 'Click an element on the page',
       inputSchema: {
         type: 'object',
         properties: {
-          selector: { type: 'string', description: 'CSS selector for the element to click' }
+          selector: { type: 'string', description: 'CSS selector for the element to click' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY
         },
-        required: ['selector']
+        required: []
       },
-      handler: async ({ selector }) => {
-        await browser.click(selector);
-        return { success: true, message: `Clicked element: ${selector}` };
+      handler: async ({ selector, ref, locator, frame }, browser) => {
+        await browser.click({ selector, ref, locator, frame });
+        return { success: true, message: `Clicked element: ${describeTarget({ selector, ref, locator })}` };
       }
     },
     {
       name: 'type',
+      group: 'interaction',
+      requiredOneOf: [TARGET_ARGUMENTS],
       description: 'Type text into an input field',
       inputSchema: {
         type: 'object',
         properties: {
           selector: { type: 'string', description: 'CSS selector for the input field' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
           text: { type: 'string', description: 'Text to type' }
         },
-        required: ['selector', 'text']
+        required: ['text']
       },
-      handler: async ({ selector, text }) => {
-        await browser.type(selector, text);
-        return { success: true, message: `Typed "${text}" into ${selector}` };
+      handler: async ({ selector, ref, locator, frame, text }, browser) => {
+        await browser.type({ selector, ref, locator, frame }, text);
+        return { success: true, message: `Typed "${text}" into ${describeTarget({ selector, ref, locator })}` };
       }
     },
     {
       name: 'select',
+      group: 'interaction',
+      requiredOneOf: [TARGET_ARGUMENTS],
       description: 'Select an option from a dropdown',
       inputSchema: {
         type: 'object',
         properties: {
           selector: { type: 'string', description: 'CSS selector for the select element' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
           value: { type: 'string', description: 'Value to select' }
         },
-        required: ['selector', 'value']
+        required: ['value']
       },
-      handler: async ({ selector, value }) => {
-        await browser.select(selector, value);
-        return { success: true, message: `Selected "${value}" in ${selector}` };
+      handler: async ({ selector, ref, locator, frame, value }, browser) => {
+        await browser.select({ selector, ref, locator, frame }, value);
+        return { success: true, message: `Selected "${value}" in ${describeTarget({ selector, ref, locator })}` };
       }
     },
     {
       name: 'fill_form',
+      group: 'interaction',
       description: 'Fill multiple form fields at once',
       inputSchema: {
         type: 'object',
@@ -127,27 +392,225 @@ export function createPlaywrightTools(browser) {
             type: 'object', 
             additionalProperties: { type: 'string' },
             description: 'Object with selector as key and value as text to fill' 
-          }
+          },
+          frame: FRAME_PROPERTY
         },
         required: ['fields']
       },
-      handler: async ({ fields }) => {
-        await browser.fillForm(fields);
+      handler: async ({ fields, frame }, browser) => {
+        await browser.fillForm(fields, frame);
         return { success: true, message: `Filled ${Object.keys(fields).length} form fields` };
       }
     },
+    {
+      name: 'double_click',
+      group: 'interaction',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Double-click an element on the page',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the element to double-click' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY
+        },
+        required: []
+      },
+      handler: async ({ selector, ref, locator, frame }, browser) => {
+        await browser.doubleClick({ selector, ref, locator, frame });
+        return { success: true, message: `Double-clicked element: ${describeTarget({ selector, ref, locator })}` };
+      }
+    },
+    {
+      name: 'right_click',
+      group: 'interaction',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Right-click an element to open its context menu',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the element to right-click' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY
+        },
+        required: []
+      },
+      handler: async ({ selector, ref, locator, frame }, browser) => {
+        await browser.rightClick({ selector, ref, locator, frame });
+        return { success: true, message: `Right-clicked element: ${describeTarget({ selector, ref, locator })}` };
+      }
+    },
+    {
+      name: 'hover',
+      group: 'interaction',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Move the mouse over an element, e.g. to open a menu or show a tooltip',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the element to hover' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY
+        },
+        required: []
+      },
+      handler: async ({ selector, ref, locator, frame }, browser) => {
+        await browser.hover({ selector, ref, locator, frame });
+        return { success: true, message: `Hovered over element: ${describeTarget({ selector, ref, locator })}` };
+      }
+    },
+    {
+      name: 'drag_and_drop',
+      group: 'interaction',
+      requiredOneOf: [['sourceSelector', 'sourceRef', 'sourceLocator'], ['targetSelector', 'targetRef', 'targetLocator']],
+      description: 'Drag an element and drop it onto another element',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          sourceSelector: { type: 'string', description: 'CSS selector for the element to drag' },
+          sourceRef: { type: 'string', description: 'Element ref of the element to drag (alternative to sourceSelector)' },
+          targetSelector: { type: 'string', description: 'CSS selector for the drop target' },
+          targetRef: { type: 'string', description: 'Element ref of the drop target (alternative to targetSelector)' },
+          sourceLocator: { ...LOCATOR_PROPERTY, description: 'Semantic locator of the element to drag (alternative to sourceSelector)' },
+          targetLocator: { ...LOCATOR_PROPERTY, description: 'Semantic locator of the drop target (alternative to targetSelector)' },
+          frame: FRAME_PROPERTY
+        },
+        required: []
+      },
+      handler: async ({ sourceSelector, sourceRef, sourceLocator, targetSelector, targetRef, targetLocator, frame }, browser) => {
+        const source = { selector: sourceSelector, ref: sourceRef, locator: sourceLocator, frame };
+        const target = { selector: targetSelector, ref: targetRef, locator: targetLocator, frame };
+        await browser.dragAndDrop(source, target);
+        return { success: true, message: `Dragged ${describeTarget(source)} onto ${describeTarget(target)}` };
+      }
+    },
+    {
+      name: 'press_key',
+      group: 'interaction',
+      description: 'Press a key or key chord, e.g. "Enter", "ArrowDown" or "Control+Shift+K"',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'Key name or chord joined with "+" (modifiers: Shift, Control, Alt, Meta, ControlOrMeta)' },
+          selector: { type: 'string', description: 'CSS selector of the element to focus first (default: the focused element)' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY
+        },
+        required: ['key']
+      },
+      handler: async ({ key, selector, ref, locator, frame }, browser) => {
+        await browser.pressKey(key, { selector, ref, locator, frame });
+        const target = describeTarget({ selector, ref, locator });
+        return { success: true, message: `Pressed ${key}${target ? ` on ${target}` : ''}` };
+      }
+    },
+    {
+      name: 'type_sequentially',
+      group: 'interaction',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Type text one key at a time with key events, for autocomplete and other key-driven widgets',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the input field' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          text: { type: 'string', description: 'Text to type' },
+          delay: { type: 'number', minimum: 0, default: 100, description: 'Delay between key presses in milliseconds (default: 100)' },
+          clear: { type: 'boolean', default: false, description: 'Clear the field before typing (default: false)' }
+        },
+        required: ['text']
+      },
+      handler: async ({ selector, ref, locator, frame, text, delay = 100, clear = false }, browser) => {
+        await browser.typeSequentially({ selector, ref, locator, frame }, text, { delay, clear });
+        return { success: true, message: `Typed "${text}" key by key into ${describeTarget({ selector, ref, locator })}` };
+      }
+    },
+    {
+      name: 'scroll',
+      group: 'interaction',
+      description: 'Scroll an element into view, or scroll the page (or an element) by an offset',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector of the element to scroll into view, or to scroll inside when an offset is given' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          x: { type: 'number', default: 0, description: 'Horizontal offset in pixels (default: 0)' },
+          y: { type: 'number', default: 0, description: 'Vertical offset in pixels (default: 0)' }
+        },
+        required: []
+      },
+      handler: async ({ selector, ref, locator, frame, x = 0, y = 0 }, browser) => {
+        const position = await browser.scroll({ selector, ref, locator, frame }, { x, y });
+        const target = describeTarget({ selector, ref, locator });
+        return {
+          success: true,
+          data: position,
+          message: target && x === 0 && y === 0 ? `Scrolled ${target} into view` : `Scrolled ${target || 'page'} by (${x}, ${y})`
+        };
+      }
+    },
+
+    // File Tools
+    {
+      name: 'upload_files',
+      group: 'files',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Set local files on an <input type=file> element',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the file input' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          files: { type: 'array', items: { type: 'string' }, description: 'Local file paths (empty array clears the input)' }
+        },
+        required: ['files']
+      },
+      handler: async ({ selector, ref, locator, frame, files }, browser) => {
+        await browser.uploadFiles({ selector, ref, locator, frame }, files);
+        return { success: true, message: `Set ${files.length} file(s) on ${describeTarget({ selector, ref, locator })}` };
+      }
+    },
+    {
+      name: 'downloads_list',
+      group: 'files',
+      description: 'List files downloaded by the page, with suggested filename, saved path, size and source URL',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          timeout: { type: 'number', default: 0, description: 'Wait up to this many milliseconds for downloads in progress (default: 0)' }
+        },
+        required: []
+      },
+      handler: async ({ timeout = 0 }, browser) => {
+        const downloads = await browser.listDownloads(timeout);
+        return { success: true, data: { downloads }, message: `${downloads.length} download(s)` };
+      }
+    },
 
     // Information Tools
     {
       name: 'snapshot',
-      description: 'Get a snapshot of the current page with interactive elements',
+      group: 'information',
+      description: 'Get an accessibility snapshot of the current page and its frames; elements carry refs usable by click, type, select, get_text and wait_for',
       inputSchema: {
         type: 'object',
-        properties: {},
+        properties: {
+          frame: FRAME_PROPERTY
+        },
         required: []
       },
-      handler: async () => {
-        const snapshot = await browser.snapshot();
+      handler: async ({ frame }, browser) => {
+        const snapshot = await browser.snapshot(frame);
         return { 
           success: true, 
           data: snapshot,
@@ -157,104 +620,960 @@ export function createPlaywrightTools(browser) {
     },
     {
       name: 'screenshot',
-      description: 'Take a screenshot of the current page',
+      group: 'information',
+      description: 'Take a screenshot of the page or an element and return it as an image',
       inputSchema: {
         type: 'object',
         properties: {
-          filename: { type: 'string', description: 'Optional filename for the screenshot' }
+          filename: { type: 'string', description: 'Also save the screenshot to this file' },
+          selector: { type: 'string', description: 'CSS selector of an element to capture instead of the page' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          fullPage: { type: 'boolean', default: false, description: 'Capture the full scrollable page instead of the viewport (default: false)' },
+          type: { type: 'string', enum: ['png', 'jpeg'], description: 'Image format (default: png, or from the filename extension)' },
+          quality: { type: 'integer', minimum: 0, maximum: 100, description: 'JPEG quality (JPEG only)' },
+          scale: { type: 'string', enum: ['css', 'device'], default: 'device', description: 'One pixel per CSS pixel, or per device pixel (default: device)' },
+          includeImage: { type: 'boolean', default: true, description: 'Return the image in the result (default: true); without it and a filename the screenshot is saved to a file' }
         },
         required: []
       },
-      handler: async ({ filename }) => {
-        const path = await browser.screenshot(filename);
-        return { success: true, message: `Screenshot saved to ${path}` };
+      handler: async ({ filename, selector, ref, locator, frame, fullPage, type, quality, scale, includeImage = true }, browser) => {
+        // Without an image to return, keep the screenshot on disk so the call is not wasted
+        const savePath = filename || (includeImage ? undefined : `screenshot-${Date.now()}.${type === 'jpeg' ? 'jpg' : 'png'}`);
+        const { path, buffer, mimeType } = await browser.screenshot({
+          filename: savePath,
+          target: { selector, ref, locator, frame },
+          fullPage,
+          type,
+          quality,
+          scale
+        });
+        const subject = describeTarget({ selector, ref, locator }) || (fullPage ? 'full page' : 'page');
+        return {
+          success: true,
+          data: { path, mimeType, size: buffer.length },
+          attachments: includeImage ? [{ type: 'image', data: buffer.toString('base64'), mimeType }] : [],
+          message: path ? `Screenshot of ${subject} saved to ${path}` : `Screenshot of ${subject} captured`
+        };
+      }
+    },
+    {
+      name: 'compare_screenshot',
+      group: 'information',
+      description: 'Compare a screenshot of the page or an element with a named baseline and write a diff image of changed pixels',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Baseline name; the baseline is stored as <baselinesDir>/<name>.png' },
+          selector: { type: 'string', description: 'CSS selector of an element to capture instead of the page' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          fullPage: { type: 'boolean', default: false, description: 'Capture the full scrollable page (default: false)' },
+          ignoreRegions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                selector: { type: 'string', description: 'Mask this element' },
+                x: { type: 'number' },
+                y: { type: 'number' },
+                width: { type: 'number', minimum: 0 },
+                height: { type: 'number', minimum: 0 }
+              }
+            },
+            description: 'Regions to ignore: { selector } or { x, y, width, height } in CSS pixels relative to the screenshot'
+          },
+          threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.1, description: 'Color distance (0-1) below which a pixel counts as unchanged (default: 0.1)' },
+          maxDiffPercentage: { type: 'number', minimum: 0, maximum: 100, default: 0, description: 'Largest mismatch percentage that still passes (default: 0)' },
+          update: { type: 'boolean', default: false, description: 'Replace the baseline with the current screenshot (default: false)' }
+        },
+        required: ['name']
+      },
+      handler: async ({ name, selector, ref, locator, frame, fullPage, ignoreRegions, threshold, maxDiffPercentage, update }, browser) => {
+        const result = await browser.compareScreenshot(name, {
+          target: { selector, ref, locator, frame },
+          fullPage,
+          ignoreRegions,
+          threshold,
+          maxDiffPercentage,
+          update
+        });
+        let message;
+        if (result.baselineUpdated) {
+          message = `Baseline saved to ${result.baseline}`;
+        } else if (result.sizeMismatch) {
+          const { actual, baseline } = result.sizeMismatch;
+          message = `Screenshot is ${actual.width}x${actual.height} but the baseline is ${baseline.width}x${baseline.height}; diff saved to ${result.diff}`;
+        } else {
+          message = `Screenshot ${result.passed ? 'matches' : 'differs from'} baseline "${name}" (${result.mismatchPercentage}% of pixels changed); diff saved to ${result.diff}`;
+        }
+        // A failed comparison is a failed check, like the expect_* tools
+        return { success: result.passed || result.baselineUpdated, data: result, message };
+      }
+    },
+    {
+      name: 'audit_accessibility',
+      group: 'information',
+      description: 'Check the page or a subtree for missing alt text, unlabeled controls, low color contrast, heading order, duplicate ids and ARIA misuse',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector of the subtree to audit (default: whole page)' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          rules: { type: 'array', items: { type: 'string', enum: AUDIT_RULES }, description: 'Only run these rules (default: all)' }
+        },
+        required: []
+      },
+      handler: async ({ selector, ref, locator, frame, rules }, browser) => {
+        const result = await browser.auditAccessibility({ selector, ref, locator, frame }, rules);
+        const counts = Object.entries(result.summary)
+          .filter(([, count]) => count > 0)
+          .map(([severity, count]) => `${count} ${severity}`);
+        return {
+          success: true,
+          data: result,
+          message: result.violations.length === 0
+            ? 'No accessibility violations found'
+            : `Found ${result.violations.length} accessibility violations (${counts.join(', ')})`
+        };
       }
     },
     {
       name: 'get_text',
+      group: 'information',
+      requiredOneOf: [TARGET_ARGUMENTS],
       description: 'Get text content from an element',
       inputSchema: {
         type: 'object',
         properties: {
-          selector: { type: 'string', description: 'CSS selector for the element' }
+          selector: { type: 'string', description: 'CSS selector for the element' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY
         },
-        required: ['selector']
+        required: []
       },
-      handler: async ({ selector }) => {
-        const text = await browser.getText(selector);
-        return { success: true, data: { text }, message: `Got text from ${selector}` };
+      handler: async ({ selector, ref, locator, frame }, browser) => {
+        const text = await browser.getText({ selector, ref, locator, frame });
+        return { success: true, data: { text }, message: `Got text from ${describeTarget({ selector, ref, locator })}` };
       }
     },
     {
       name: 'get_url',
+      group: 'information',
       description: 'Get the current page URL',
       inputSchema: {
         type: 'object',
-        properties: {},
+        properties: {
+          frame: FRAME_PROPERTY
+        },
         required: []
       },
-      handler: async () => {
-        const url = await browser.getUrl();
+      handler: async ({ frame }, browser) => {
+        const url = await browser.getUrl(frame);
         return { success: true, data: { url }, message: `Current URL: ${url}` };
       }
     },
     {
       name: 'get_title',
+      group: 'information',
       description: 'Get the current page title',
       inputSchema: {
         type: 'object',
-        properties: {},
+        properties: {
+          frame: FRAME_PROPERTY
+        },
         required: []
       },
-      handler: async () => {
-        const title = await browser.getTitle();
+      handler: async ({ frame }, browser) => {
+        const title = await browser.getTitle(frame);
         return { success: true, data: { title }, message: `Page title: ${title}` };
       }
     },
 
+    // Network Tools
+    {
+      name: 'route_add',
+      group: 'network',
+      description: 'Mock, abort or delay network requests matching a URL glob or regex',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'URL glob (e.g. **/api/cart*) or regular expression source' },
+          regex: { type: 'boolean', default: false, description: 'Treat url as a regular expression (default: false)' },
+          action: {
+            type: 'string',
+            enum: ['fulfill', 'abort', 'continue'],
+            default: 'fulfill',
+            description: 'fulfill with a mocked response, abort the request, or continue to the network (default: fulfill)'
+          },
+          status: { type: 'number', default: 200, description: 'Response status for fulfill (default: 200)' },
+          headers: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Response headers for fulfill'
+          },
+          contentType: { type: 'string', description: 'Response content type for fulfill' },
+          body: { type: 'string', description: 'Response body for fulfill' },
+          json: { description: 'JSON response body for fulfill (sets content type automatically)' },
+          fixture: { type: 'string', description: 'Path to a file to serve as the response body for fulfill' },
+          errorCode: { type: 'string', default: 'failed', description: 'Error code for abort, e.g. failed, timedout, connectionrefused (default: failed)' },
+          delay: { type: 'number', description: 'Delay in milliseconds before handling the request' }
+        },
+        required: ['url']
+      },
+      handler: async (options, browser) => {
+        const id = await browser.addRoute(options);
+        return { success: true, data: { id }, message: `Route ${id} added for ${options.url}` };
+      }
+    },
+    {
+      name: 'route_list',
+      group: 'network',
+      description: 'List active network routes',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      handler: async (args, browser) => {
+        const routes = browser.listRoutes();
+        return { success: true, data: { routes }, message: `${routes.length} active route(s)` };
+      }
+    },
+    {
+      name: 'route_remove',
+      group: 'network',
+      description: 'Remove a network route',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: { type: 'number', description: 'Route id as returned by route_add (omit to remove all routes)' }
+        },
+        required: []
+      },
+      handler: async ({ id }, browser) => {
+        const count = await browser.removeRoute(id);
+        return { success: true, message: `Removed ${count} route(s)` };
+      }
+    },
+
+    {
+      name: 'network_requests',
+      group: 'network',
+      description: 'List network requests made by the page, with method, status, timing, size and failure reason',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'Only include requests whose URL contains this text' },
+          method: { type: 'string', description: 'Only include requests with this HTTP method' },
+          status: { type: 'number', description: 'Only include responses with this status code' },
+          resourceType: { type: 'string', description: 'Only include this resource type (e.g. xhr, fetch, document, script)' },
+          failedOnly: { type: 'boolean', description: 'Only include failed requests and 4xx/5xx responses' },
+          sinceLastCall: { type: 'boolean', description: 'Only include requests made since the previous call with sinceLastCall' },
+          limit: { type: 'integer', minimum: 1, default: 50, description: 'Maximum number of most recent requests to return (default: 50)' },
+          clear: { type: 'boolean', description: 'Clear the log after reading it' }
+        },
+        required: []
+      },
+      handler: async ({ clear, ...filters }, browser) => {
+        const requests = browser.getNetworkRequests(filters);
+        if (clear) {
+          browser.clearNetworkLog();
+        }
+        return { success: true, data: { requests }, message: `${requests.length} request(s) found` };
+      }
+    },
+    {
+      name: 'network_export_har',
+      group: 'network',
+      description: 'Export the network log of the session as a HAR file',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          filename: { type: 'string', description: 'Optional filename for the HAR file' }
+        },
+        required: []
+      },
+      handler: async ({ filename }, browser) => {
+        const { path, entries } = browser.exportHar(filename);
+        return { success: true, data: { path, entries }, message: `Exported ${entries} request(s) to ${path}` };
+      }
+    },
+
+    // Emulation Tools
+    {
+      name: 'emulate',
+      group: 'emulation',
+      description: 'Emulate a device, position, locale, timezone, media features or network conditions. Settings not given are kept. Changing device, locale or timezone recreates the browser context, keeping cookies, local storage and the current URL',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          device: { type: 'string', description: 'Playwright device name, e.g. "iPhone 13" or "Pixel 7"; sets viewport, user agent, scale factor and touch' },
+          geolocation: { ...GEOLOCATION_SCHEMA, description: 'Position to report; geolocation permission is granted automatically' },
+          permissions: { type: 'array', items: { type: 'string' }, description: 'Permissions to grant, e.g. ["notifications", "clipboard-read"]' },
+          locale: { type: 'string', description: 'Locale, e.g. "de-DE"' },
+          timezone: { type: 'string', description: 'IANA timezone, e.g. "Asia/Tokyo"' },
+          colorScheme: { type: 'string', enum: COLOR_SCHEMES, description: 'prefers-color-scheme media feature' },
+          reducedMotion: { type: 'string', enum: REDUCED_MOTION, description: 'prefers-reduced-motion media feature' },
+          offline: { type: 'boolean', description: 'Take the network offline' },
+          throttling: {
+            ...THROTTLING_SCHEMA,
+            description: `Network throttling (Chromium only): "none", ${Object.keys(THROTTLING_PRESETS).map(name => `"${name}"`).join(', ')}, or { latency, downloadKbps, uploadKbps }`
+          },
+          reset: { type: 'boolean', description: 'Go back to the configured emulation settings before applying the others' }
+        },
+        required: []
+      },
+      handler: async (args, browser) => {
+        const result = await browser.emulate(args);
+        const settings = Object.entries(result.emulation).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+        return {
+          success: true,
+          data: result,
+          message: `Emulating ${settings.length > 0 ? settings.join(', ') : 'defaults'}${result.recreatedContext ? ' (browser context recreated)' : ''}`
+        };
+      }
+    },
+
+    // Console Tools
+    {
+      name: 'console_messages',
+      group: 'console',
+      description: 'Get console messages, uncaught page errors and failed requests from the page',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          level: {
+            type: 'string',
+            enum: ['debug', 'info', 'warning', 'error'],
+            default: 'debug',
+            description: 'Minimum level to include (default: debug)'
+          },
+          sinceLastCall: { type: 'boolean', description: 'Only include messages recorded since the previous call with sinceLastCall' },
+          allTabs: { type: 'boolean', description: 'Include messages from all tabs instead of the current tab' }
+        },
+        required: []
+      },
+      handler: async (filters, browser) => {
+        const messages = browser.getConsoleMessages(filters);
+        // Everything returned here has been seen, so don't repeat it in later results
+        browser.takeNewErrors();
+        return { success: true, data: { messages }, message: `${messages.length} console message(s)` };
+      }
+    },
+
+    // Storage Tools
+    {
+      name: 'cookies_get',
+      group: 'storage',
+      description: 'Get cookies of the browser context',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          urls: { type: 'array', items: { type: 'string' }, description: 'Only return cookies that apply to these URLs' }
+        },
+        required: []
+      },
+      handler: async ({ urls }, browser) => {
+        const cookies = await browser.getCookies(urls);
+        return { success: true, data: { cookies }, message: `${cookies.length} cookie(s)` };
+      }
+    },
+    {
+      name: 'cookies_set',
+      group: 'storage',
+      description: 'Add cookies to the browser context',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          cookies: {
+            type: 'array',
+            description: 'Cookies to add; each needs name, value and either url or domain and path',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                value: { type: 'string' },
+                url: { type: 'string' },
+                domain: { type: 'string' },
+                path: { type: 'string' },
+                expires: { type: 'number', description: 'Unix time in seconds' },
+                httpOnly: { type: 'boolean' },
+                secure: { type: 'boolean' },
+                sameSite: { type: 'string', enum: ['Strict', 'Lax', 'None'] }
+              },
+              required: ['name', 'value']
+            }
+          }
+        },
+        required: ['cookies']
+      },
+      handler: async ({ cookies }, browser) => {
+        await browser.setCookies(cookies);
+        return { success: true, message: `Added ${cookies.length} cookie(s)` };
+      }
+    },
+    {
+      name: 'cookies_clear',
+      group: 'storage',
+      description: 'Clear cookies, optionally only those with a given name or domain',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Only clear cookies with this name' },
+          domain: { type: 'string', description: 'Only clear cookies for this domain' }
+        },
+        required: []
+      },
+      handler: async ({ name, domain }, browser) => {
+        const count = await browser.clearCookies({ name, domain });
+        return { success: true, message: `Cleared ${count} cookie(s)` };
+      }
+    },
+    {
+      name: 'storage_get',
+      group: 'storage',
+      description: 'Get localStorage or sessionStorage of the current page',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['local', 'session'], description: 'Storage to read' },
+          key: { type: 'string', description: 'Key to read (omit to get all entries)' }
+        },
+        required: ['type']
+      },
+      handler: async ({ type, key }, browser) => {
+        const value = await browser.getStorage(type, key);
+        return { success: true, data: key === undefined ? { entries: value } : { key, value }, message: `Read ${type}Storage` };
+      }
+    },
+    {
+      name: 'storage_set',
+      group: 'storage',
+      description: 'Set a localStorage or sessionStorage entry on the current page',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['local', 'session'], description: 'Storage to write' },
+          key: { type: 'string', description: 'Key to set' },
+          value: { type: 'string', description: 'Value to store' }
+        },
+        required: ['type', 'key', 'value']
+      },
+      handler: async ({ type, key, value }, browser) => {
+        await browser.setStorage(type, key, value);
+        return { success: true, message: `Set ${type}Storage "${key}"` };
+      }
+    },
+    {
+      name: 'storage_clear',
+      group: 'storage',
+      description: 'Clear localStorage or sessionStorage of the current page',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['local', 'session'], description: 'Storage to clear' },
+          key: { type: 'string', description: 'Only remove this key' }
+        },
+        required: ['type']
+      },
+      handler: async ({ type, key }, browser) => {
+        await browser.clearStorage(type, key);
+        return { success: true, message: key ? `Removed ${type}Storage "${key}"` : `Cleared ${type}Storage` };
+      }
+    },
+    {
+      name: 'storage_state_save',
+      group: 'storage',
+      description: 'Save cookies and localStorage to a Playwright storageState JSON file',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          filename: { type: 'string', description: 'Optional filename for the storage state' }
+        },
+        required: []
+      },
+      handler: async ({ filename }, browser) => {
+        const path = await browser.saveStorageState(filename);
+        return { success: true, data: { path }, message: `Storage state saved to ${path}` };
+      }
+    },
+    {
+      name: 'storage_state_load',
+      group: 'storage',
+      description: 'Start a fresh browser context from a Playwright storageState JSON file (closes all tabs)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          filename: { type: 'string', description: 'Storage state file to load' },
+          url: { type: 'string', description: 'Optional URL to open in the new context' }
+        },
+        required: ['filename']
+      },
+      handler: async ({ filename, url }, browser) => {
+        await browser.loadStorageState(filename);
+        if (url) {
+          await browser.navigate(url);
+        }
+        return { success: true, message: `Loaded storage state from ${filename}${url ? ` and navigated to ${url}` : ''}` };
+      }
+    },
+
+    // Assertion Tools
+    {
+      name: 'expect_visible',
+      group: 'assertions',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Assert that an element is visible, retrying until the timeout',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the element' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          timeout: EXPECT_TIMEOUT_PROPERTY
+        },
+        required: []
+      },
+      handler: async ({ selector, ref, locator, frame, timeout }, browser) => {
+        const target = { selector, ref, locator, frame };
+        const verdict = await browser.expect(
+          { assertion: 'visible', target: describeTarget(target), expected: true },
+          async () => Boolean(await browser.readElement(target, element => element.isVisible())),
+          actual => actual === true,
+          timeout
+        );
+        return toAssertionResult(verdict, `${describeTarget(target)} is visible`);
+      }
+    },
+    {
+      name: 'expect_hidden',
+      group: 'assertions',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Assert that an element is hidden or not on the page, retrying until the timeout',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the element' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          timeout: EXPECT_TIMEOUT_PROPERTY
+        },
+        required: []
+      },
+      handler: async ({ selector, ref, locator, frame, timeout }, browser) => {
+        const target = { selector, ref, locator, frame };
+        const verdict = await browser.expect(
+          { assertion: 'hidden', target: describeTarget(target), expected: true },
+          async () => !(await browser.readElement(target, element => element.isVisible())),
+          actual => actual === true,
+          timeout
+        );
+        return toAssertionResult(verdict, `${describeTarget(target)} is hidden`);
+      }
+    },
+    {
+      name: 'expect_text',
+      group: 'assertions',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Assert that an element contains or equals a text, retrying until the timeout',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the element' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          text: { type: 'string', description: 'Expected text; whitespace is normalized' },
+          exact: { type: 'boolean', default: false, description: 'Require the whole text to be equal instead of contained (default: false)' },
+          ignoreCase: { type: 'boolean', default: false, description: 'Compare case-insensitively (default: false)' },
+          timeout: EXPECT_TIMEOUT_PROPERTY
+        },
+        required: ['text']
+      },
+      handler: async ({ selector, ref, locator, frame, text, exact = false, ignoreCase = false, timeout }, browser) => {
+        const target = { selector, ref, locator, frame };
+        const verdict = await browser.expect(
+          { assertion: exact ? 'text equals' : 'text contains', target: describeTarget(target), expected: text },
+          () => browser.readElement(target, element => element.textContent()),
+          actual => matchText(actual, text, { exact, ignoreCase }),
+          timeout
+        );
+        return toAssertionResult(verdict, `${describeTarget(target)} text ${exact ? 'equals' : 'contains'} "${text}"`);
+      }
+    },
+    {
+      name: 'expect_value',
+      group: 'assertions',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Assert the value of an input, textarea or select, retrying until the timeout',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the form control' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          value: { type: 'string', description: 'Expected value' },
+          timeout: EXPECT_TIMEOUT_PROPERTY
+        },
+        required: ['value']
+      },
+      handler: async ({ selector, ref, locator, frame, value, timeout }, browser) => {
+        const target = { selector, ref, locator, frame };
+        const verdict = await browser.expect(
+          { assertion: 'value', target: describeTarget(target), expected: value },
+          () => browser.readElement(target, element => element.inputValue()),
+          actual => actual === value,
+          timeout
+        );
+        return toAssertionResult(verdict, `${describeTarget(target)} has value "${value}"`);
+      }
+    },
+    {
+      name: 'expect_attribute',
+      group: 'assertions',
+      requiredOneOf: [TARGET_ARGUMENTS],
+      description: 'Assert that an element has an attribute, optionally with a given value, retrying until the timeout',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector for the element' },
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          name: { type: 'string', description: 'Attribute name' },
+          value: { type: 'string', description: 'Expected value (default: only check that the attribute is present)' },
+          timeout: EXPECT_TIMEOUT_PROPERTY
+        },
+        required: ['name']
+      },
+      handler: async ({ selector, ref, locator, frame, name, value, timeout }, browser) => {
+        const target = { selector, ref, locator, frame };
+        const verdict = await browser.expect(
+          { assertion: 'attribute', target: describeTarget(target), expected: value === undefined ? { name } : { name, value } },
+          () => browser.readElement(target, element => element.getAttribute(name)),
+          actual => (value === undefined ? actual !== null : actual === value),
+          timeout
+        );
+        return toAssertionResult(verdict, value === undefined
+          ? `${describeTarget(target)} has attribute ${name}`
+          : `${describeTarget(target)} has ${name}="${value}"`);
+      }
+    },
+    {
+      name: 'expect_count',
+      group: 'assertions',
+      requiredOneOf: [['selector', 'locator']],
+      description: 'Assert how many elements match a selector or locator, retrying until the timeout',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector to count' },
+          locator: { ...LOCATOR_PROPERTY, description: 'Semantic locator to count (alternative to selector)' },
+          frame: FRAME_PROPERTY,
+          count: { type: 'integer', minimum: 0, description: 'Expected number of matching elements' },
+          timeout: EXPECT_TIMEOUT_PROPERTY
+        },
+        required: ['count']
+      },
+      handler: async ({ selector, locator, frame, count, timeout }, browser) => {
+        const target = { selector, locator, frame };
+        const verdict = await browser.expect(
+          { assertion: 'count', target: describeTarget(target), expected: count },
+          () => browser.countElements(target),
+          actual => actual === count,
+          timeout
+        );
+        return toAssertionResult(verdict, `${count} element(s) match ${describeTarget(target)}`);
+      }
+    },
+    {
+      name: 'expect_url',
+      group: 'assertions',
+      description: 'Assert that the page URL contains a string or matches a regular expression, retrying until the timeout',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'Expected URL fragment, or a regular expression when regex is true' },
+          regex: { type: 'boolean', default: false, description: 'Treat url as a regular expression (default: false)' },
+          frame: FRAME_PROPERTY,
+          timeout: EXPECT_TIMEOUT_PROPERTY
+        },
+        required: ['url']
+      },
+      handler: async ({ url, regex = false, frame, timeout }, browser) => {
+        const pattern = regex ? new RegExp(url) : null;
+        const verdict = await browser.expect(
+          { assertion: regex ? 'url matches' : 'url contains', target: frame || null, expected: url },
+          () => browser.getUrl(frame),
+          actual => actual !== null && (pattern ? pattern.test(actual) : actual.includes(url)),
+          timeout
+        );
+        return toAssertionResult(verdict, `URL ${regex ? 'matches' : 'contains'} ${regex ? `/${url}/` : `"${url}"`}`);
+      }
+    },
+    {
+      name: 'expect_title',
+      group: 'assertions',
+      description: 'Assert that the page title contains or equals a text, retrying until the timeout',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Expected title' },
+          exact: { type: 'boolean', default: false, description: 'Require the whole title to be equal instead of contained (default: false)' },
+          frame: FRAME_PROPERTY,
+          timeout: EXPECT_TIMEOUT_PROPERTY
+        },
+        required: ['title']
+      },
+      handler: async ({ title, exact = false, frame, timeout }, browser) => {
+        const verdict = await browser.expect(
+          { assertion: exact ? 'title equals' : 'title contains', target: frame || null, expected: title },
+          () => browser.getTitle(frame),
+          actual => matchText(actual, title, { exact }),
+          timeout
+        );
+        return toAssertionResult(verdict, `title ${exact ? 'equals' : 'contains'} "${title}"`);
+      }
+    },
+    {
+      name: 'assertion_results',
+      group: 'assertions',
+      description: 'Get the pass/fail tally of the assertions made in this session',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          filename: { type: 'string', description: 'Also write the tally to this JSON file' },
+          clear: { type: 'boolean', description: 'Reset the tally after reading it' }
+        },
+        required: []
+      },
+      handler: async ({ filename, clear }, browser) => {
+        const summary = browser.assertions.summary();
+        if (filename) {
+          browser.exportAssertions(filename);
+        }
+        if (clear) {
+          browser.assertions.clear();
+        }
+        return {
+          success: true,
+          data: summary,
+          message: `${summary.passed} of ${summary.total} assertion(s) passed${filename ? `; saved to ${filename}` : ''}`
+        };
+      }
+    },
+
+    // Recorder Tools
+    {
+      name: 'recorded_actions',
+      group: 'recorder',
+      description: 'List the browser actions recorded in this session',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          clear: { type: 'boolean', description: 'Clear the recording after listing it' }
+        },
+        required: []
+      },
+      handler: async ({ clear }, browser) => {
+        const actions = browser.recorder.list();
+        if (clear) {
+          browser.recorder.clear();
+        }
+        return { success: true, data: { actions }, message: `${actions.length} action(s) recorded` };
+      }
+    },
+    {
+      name: 'generate_test',
+      group: 'recorder',
+      description: 'Generate a runnable test for a Zypin template from the actions recorded in this session',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          template: {
+            type: 'string',
+            enum: SUPPORTED_TEMPLATES,
+            description: 'Template to generate the test for (e.g., selenium/basic-webdriver)'
+          },
+          name: { type: 'string', description: 'Test or scenario name' },
+          outputDir: { type: 'string', description: 'Project directory to write the files into (omit to only return the content)' },
+          clear: { type: 'boolean', description: 'Clear the recording after generating the test' }
+        },
+        required: ['template', 'name']
+      },
+      handler: async ({ template, name, outputDir, clear }, browser) => {
+        const files = generateTest(browser.recorder.list(), { template, name, outputDir });
+        if (clear) {
+          browser.recorder.clear();
+        }
+        return {
+          success: true,
+          data: { files },
+          message: outputDir
+            ? `Generated ${files.map(file => file.path).join(', ')}`
+            : `Generated ${files.length} file(s) for ${template}`
+        };
+      }
+    },
+
+    // Tracing Tools
+    {
+      name: 'trace_start',
+      group: 'tracing',
+      description: 'Start recording a Playwright trace with DOM snapshots, screenshots and sources',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Trace name, used for the default file name' },
+          screenshots: { type: 'boolean', default: true, description: 'Capture screenshots (default: true)' },
+          snapshots: { type: 'boolean', default: true, description: 'Capture DOM snapshots on every action (default: true)' },
+          sources: { type: 'boolean', default: true, description: 'Include source files (default: true)' }
+        },
+        required: []
+      },
+      handler: async ({ name, screenshots, snapshots, sources }, browser) => {
+        const trace = await browser.startTrace({ name, screenshots, snapshots, sources });
+        return { success: true, data: trace, message: `Started trace "${trace.name}"` };
+      }
+    },
+    {
+      name: 'trace_stop',
+      group: 'tracing',
+      description: 'Stop the running trace and save it as a zip for the Playwright trace viewer',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          filename: { type: 'string', description: 'Zip file to save the trace to (default: <tracesDir>/<name>.zip)' }
+        },
+        required: []
+      },
+      handler: async ({ filename }, browser) => {
+        const path = await browser.stopTrace(filename);
+        return { success: true, data: { path }, message: `Trace saved to ${path}; open it with: npx playwright show-trace ${path}` };
+      }
+    },
+
     // Utility Tools
     {
       name: 'wait_for',
+      group: 'utility',
+      requiredOneOf: [TARGET_ARGUMENTS],
       description: 'Wait for an element to appear on the page',
       inputSchema: {
         type: 'object',
         properties: {
           selector: { type: 'string', description: 'CSS selector for the element to wait for' },
-          timeout: { type: 'number', description: 'Timeout in milliseconds (default: 5000)' }
+          ref: REF_PROPERTY,
+          locator: LOCATOR_PROPERTY,
+          frame: FRAME_PROPERTY,
+          timeout: { type: 'number', default: 5000, description: 'Timeout in milliseconds (default: 5000)' }
         },
-        required: ['selector']
+        required: []
       },
-      handler: async ({ selector, timeout = 5000 }) => {
-        await browser.waitFor(selector, timeout);
-        return { success: true, message: `Element ${selector} appeared within ${timeout}ms` };
+      handler: async ({ selector, ref, locator, frame, timeout = 5000 }, browser) => {
+        await browser.waitFor({ selector, ref, locator, frame }, timeout);
+        return { success: true, message: `Element ${describeTarget({ selector, ref, locator })} appeared within ${timeout}ms` };
       }
     },
     {
       name: 'evaluate',
+      group: 'utility',
       description: 'Run JavaScript code on the page',
       inputSchema: {
         type: 'object',
         properties: {
-          script: { type: 'string', description: 'JavaScript code to execute' }
+          script: { type: 'string', description: 'JavaScript code to execute' },
+          frame: FRAME_PROPERTY
         },
         required: ['script']
       },
-      handler: async ({ script }) => {
-        const result = await browser.evaluate(script);
+      handler: async ({ script, frame }, browser) => {
+        const result = await browser.evaluate(script, frame);
         return { success: true, data: { result }, message: 'JavaScript executed successfully' };
       }
     },
     {
       name: 'close',
+      group: 'utility',
       description: 'Close the browser',
       inputSchema: {
         type: 'object',
         properties: {},
         required: []
       },
+      handler: async (args, browser) => {
+        const artifacts = await browser.close();
+        return { success: true, data: artifacts, message: `Browser closed${describeArtifacts(artifacts)}` };
+      }
+    }
+  ];
+
+  return [
+    ...browserTools.map(tool => withSession(sessions, tool)),
+
+    // Session Tools
+    {
+      name: 'session_create',
+      group: 'sessions',
+      description: 'Create a named, isolated browser session with its own cookies and viewport',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Session name' },
+          width: { type: 'number', description: 'Viewport width (defaults to the server setting)' },
+          height: { type: 'number', description: 'Viewport height (defaults to the server setting)' }
+        },
+        required: ['name']
+      },
+      handler: async ({ name, width, height }) => {
+        const options = {};
+        if (width || height) {
+          options.viewport = {
+            width: width || sessions.config.viewport?.width,
+            height: height || sessions.config.viewport?.height
+          };
+        }
+        sessions.create(name, options);
+        return { success: true, message: `Created session "${name}"` };
+      }
+    },
+    {
+      name: 'session_list',
+      group: 'sessions',
+      description: 'List browser sessions',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
       handler: async () => {
-        await browser.close();
-        return { success: true, message: 'Browser closed' };
+        const list = sessions.list();
+        return { success: true, data: { sessions: list }, message: `${list.length} session(s)` };
+      }
+    },
+    {
+      name: 'session_close',
+      group: 'sessions',
+      description: 'Close a browser session and discard its state',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Session name' }
+        },
+        required: ['name']
+      },
+      handler: async ({ name }) => {
+        const artifacts = await sessions.destroy(name);
+        return { success: true, data: artifacts, message: `Closed session "${name}"${describeArtifacts(artifacts)}` };
       }
     }
   ];
@@ -9,20 +9,23 @@
  */
 
 import { createPlaywrightTools } from './tools-playwright.js';
+import { createPluginTools } from './plugins.js';
+import { createRunStepsTool } from './run-steps.js';
 import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import templateScanner from 'zypin-core/core/template-scanner.js';
 
-export function createTools(browser) {
-  const playwrightTools = createPlaywrightTools(browser);
+export function createTools(sessions, { toolGroups, plugins = [], config } = {}) {
+  const playwrightTools = createPlaywrightTools(sessions);
 
-  return [
+  const tools = [
     ...playwrightTools,
 
     // 1. Get Zypin Templates
     {
       name: 'get_zypin_templates',
+      group: 'templates',
       description: 'Get available Zypin templates with descriptions',
       inputSchema: {
         type: 'object',
@@ -54,6 +57,7 @@ export function createTools(browser) {
     // 2. Create Zypin Template
     {
       name: 'create_zypin_template',
+      group: 'templates',
       description: 'Create new project from Zypin template',
       inputSchema: {
         type: 'object',
@@ -83,6 +87,7 @@ export function createTools(browser) {
     // 3. Get Template Info
     {
       name: 'get_template_info',
+      group: 'templates',
       description: 'Get detailed information about a specific template',
       inputSchema: {
         type: 'object',
@@ -112,4 +117,12 @@ export function createTools(browser) {
       }
     }
   ];
-}
\ No newline at end of file
+
+  // Steps may call any enabled tool, plugins included; it is built in, so plugins cannot take its name
+  tools.push(createRunStepsTool(sessions, () => enabledTools));
+  tools.push(...createPluginTools(plugins, sessions, { config, existingTools: tools }));
+
+  // Only expose the tool groups enabled in the config
+  const enabledTools = toolGroups ? tools.filter(tool => toolGroups.includes(tool.group)) : tools;
+  return enabledTools;
+}
@@ -0,0 +1,96 @@
+/**
+ * JSON Schema validation for Zypin MCP
+ * Supports the subset of JSON Schema used by the config file and tool input schemas
+ *
+ * TODO:
+ * - Support oneOf/anyOf
+ * - Support string formats and patterns
+ */
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+// "an integer", "a string or an object"
+const describeTypes = (types) => types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ');
+
+// A wrong number is shown as is, since "got number" does not say what is wrong with it
+const describeValue = (value) => (typeof value === 'number' ? String(value) : typeOf(value));
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of { path, message } problems; an empty list means the value is valid.
+ */
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const at = (key) => (path ? `${path}.${key}` : key);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${describeTypes(types)}, got ${describeValue(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: at(key), message: 'is required' });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) {
+        continue;
+      }
+      if (schema.properties && schema.properties[key]) {
+        errors.push(...validateSchema(schema.properties[key], item, at(key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: at(key), message: 'is not a known option' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, at(key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function formatErrors(errors) {
+  return errors.map(({ path, message }) => `  - ${path || '(root)'}: ${message}`).join('\n');
+}